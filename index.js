@@ -1,202 +1,2137 @@
 'use strict';
 
 const ANNOTATION_EXECUTOR_TYPE = 'executor'; // Key in annotations object that maps to an executor NPM module
+const HEALTH_CHECK_TIMEOUT = 5000;
+const UPDATABLE_KEYS = [
+    'weightage',
+    'exclusions',
+    'inclusions',
+    'match',
+    'maxConcurrent',
+    'allow',
+    'canary',
+    'schedule',
+    'maintenance',
+    'platforms',
+    'maxResources',
+    'fallbacks'
+];
+// operations that put new work on an executor, the others must reach the executor the work is on
+const STARTING_OPERATIONS = ['start', 'startPeriodic', 'startFrozen'];
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const Executor = require('screwdriver-executor-base');
 const logger = require('screwdriver-logger');
+const { collectAliases, normalizeAlias } = require('./lib/aliases');
+const { IMAGE_FIELDS, matchesContainer, parseImageReference } = require('./lib/imageReference');
+const { getPipelineId, isAllowedBuild, matchesBuild, matchesPipelineIds } = require('./lib/buildMatcher');
+const CircuitBreaker = require('./lib/circuitBreaker');
+const MemoryBuildStore = require('./lib/memoryBuildStore');
+const { getMatcher } = require('./lib/patterns');
+const { getBuildPlatform, getExecutorPlatforms } = require('./lib/platform');
+const { DEFAULT_TIERS, getResourceRequest, satisfiesRequest } = require('./lib/resources');
+const RoutingError = require('./lib/routingError');
+const { getScheduledWeightage, isInMaintenance } = require('./lib/schedule');
+const { validateConfig, validateExecutor } = require('./lib/schema');
+
+/**
+ * Returns a config the executor rules can evaluate. Periodic and frozen builds carry the job
+ * instead of the build annotations and container, so those are taken from its first permutation.
+ * @method getRoutingConfig
+ * @param  {Object} config       Configuration
+ * @param  {Object} [config.job] Job object
+ * @return {Object}              Configuration with annotations and container
+ */
+function getRoutingConfig(config) {
+    const permutation = (config.job && config.job.permutations && config.job.permutations[0]) || {};
+
+    return { annotations: permutation.annotations, container: permutation.image, ...config };
+}
+
+/**
+ * Returns the build store key of the periodic or frozen builds of a job
+ * @method getJobKey
+ * @param  {String} type           Periodic or Frozen
+ * @param  {Object} config         Configuration
+ * @param  {Object} [config.job]   Job object
+ * @param  {Number} [config.jobId] Unique ID for a job
+ * @return {String}                Key, undefined when the config has no job
+ */
+function getJobKey(type, config) {
+    const jobId = config.job ? config.job.id : config.jobId;
+
+    return jobId === undefined ? undefined : `${type.toLowerCase()}-${jobId}`;
+}
+
+/**
+ * Returns the config a canary entry is loaded with: the NPM module and options of its baseline,
+ * overridden by its own
+ * @method inheritBaseline
+ * @param  {Object} plugin    Executor config
+ * @param  {Array}  executors Executor configs the baseline is looked up in
+ * @return {Object}           Executor config
+ */
+function inheritBaseline(plugin, executors) {
+    const baseline = plugin.canary && executors.find(e => e.name === plugin.canary.baseline);
+
+    if (!baseline) {
+        return plugin;
+    }
+
+    return {
+        ...plugin,
+        pluginName: plugin.pluginName || baseline.pluginName || baseline.name,
+        options: { ...baseline.options, ...plugin.options }
+    };
+}
+
+/**
+ * Returns the share of failed starts
+ * @method getFailureRate
+ * @param  {Object} counters Counts of successful and failed starts
+ * @return {Number}          Failure rate between 0 and 1
+ */
+function getFailureRate({ success, failure }) {
+    return success + failure === 0 ? 0 : failure / (success + failure);
+}
+
+/**
+ * Hashes a key for an executor into (0, 1)
+ * @method getHashUnit
+ * @param  {String} key          Hash key of the build
+ * @param  {String} executorName Executor name
+ * @return {Number}              Number in (0, 1), the same for the same key and executor
+ */
+function getHashUnit(key, executorName) {
+    const hash = crypto.createHash('sha256').update(`${key}:${executorName}`).digest();
+
+    // first 48 bits of the hash mapped into (0, 1)
+    return (hash.readUIntBE(0, 6) + 0.5) / 2 ** 48;
+}
+
+/**
+ * Returns the weighted rendezvous hashing score of an executor for a key,
+ * the executor with the highest score takes the key
+ * @method getHashScore
+ * @param  {String} key      Hash key of the build
+ * @param  {Object} executor Executor config with name and weightage
+ * @return {Number}          Score
+ */
+function getHashScore(key, executor) {
+    return (parseInt(executor.weightage, 10) || 0) / -Math.log(getHashUnit(key, executor.name));
+}
 
 class ExecutorRouter extends Executor {
     /**
      * Constructs a router for different Executor strategies.
      * @method constructor
      * @param  {Object}         config                      Object with executor and ecosystem
+     * @param  {Object}         [config.aliases]            Optional map of alternative executor names to executor names,
+     *                                                      or to objects with executor, deprecated and retireAt,
+     *                                                      resolved for the executor annotation
+     * @param  {Object}         [config.annotationPolicy]   Optional handling of executor annotations
+     * @param  {String}         [config.annotationPolicy.unknown] fallback (default) to route a build annotated with
+     *                                                      an unknown executor through the other rules, or reject
+     * @param  {String}         [config.annotationPolicy.unauthorized] fallback (default) to route a build annotated
+     *                                                      with an executor it may not use through the other rules,
+     *                                                      or reject
+     * @param  {String}         [config.annotationPolicy.draining] fallback (default) to route a build annotated
+     *                                                      with a draining executor through the other rules, or reject
+     * @param  {Object}         [config.buildStore]         Optional store mapping buildId to executor name,
+     *                                                      must implement get, set and remove and may implement
+     *                                                      expire to keep stopped builds for a while (sync or async)
+     * @param  {Number}         [config.buildTtlMs]         Optional time the default build store remembers
+     *                                                      the executor of a stopped build, 24 hours by default
+     * @param  {Function}       [config.clock]              Optional function returning the current time in
+     *                                                      milliseconds, used for schedules, circuits and aliases
      * @param  {String}         [config.defaultPlugin]      Optional default executor
      * @param  {Object}         [config.ecosystem]          Optional object with ecosystem values
+     * @param  {Boolean}        [config.failover]           Retry a failed start on the next eligible executor
+     * @param  {Object}         [config.resourceTiers]      Optional cores and GB of the cpu and ram tiers,
+     *                                                      e.g. { cpu: { HIGH: 8 } }
+     * @param  {Array}          [config.rules]              Optional custom executor rules, see registerRule
+     * @param  {Boolean}        [config.strict]             Fail instead of skipping executors that cannot be loaded
+     * @param  {Object}         [config.weighting]          Optional weighted selection settings
+     * @param  {String}         [config.weighting.strategy] random (default), hash to keep a job on one executor
+     *                                                      or least-loaded to prefer executors with fewer builds
+     * @param  {String}         [config.weighting.hashKey]  jobId (default) or pipelineId
      * @param  {Array}          config.executor             Array of executors to load
      * @param  {String}         config.executor[x].name     Name of the executor NPM module to load
      * @param  {String}         config.executor[x].options  Configuration to construct the module with
+     * @param  {Array}          [config.executor[x].aliases] Optional alternative names, as strings or objects
+     *                                                      with name, deprecated and retireAt
+     * @param  {Object}         [config.executor[x].allow]  Optional pipelineIds, repositories and token scopes
+     *                                                      of the builds that may use the executor
+     * @param  {Array}          [config.executor[x].platforms] Optional platforms the executor supports,
+     *                                                      linux/amd64 when other executors declare theirs
+     * @param  {Object}         [config.executor[x].maxResources] Optional largest cpu, ram, disk and diskSpeed
+     *                                                      the executor can offer a build
+     * @param  {Array}          [config.executor[x].fallbacks] Optional executors to try in order when the executor
+     *                                                      is unavailable or fails to start a build
+     * @param  {Object}         [config.executor[x].canary] Optional canary rollout taking builds from a baseline
+     *                                                      executor, with baseline, percentage, pipelineIds,
+     *                                                      maxFailureRate and minBuilds
+     * @param  {Array}          [config.executor[x].exclusions] Optional patterns of containers the executor does not take,
+     *                                                      or objects with patterns for parts of the image reference
+     * @param  {Array}          [config.executor[x].inclusions] Optional patterns of the only containers the executor
+     *                                                      takes, or objects with patterns for parts of the image
+     * @param  {Object}         [config.executor[x].match]  Optional rule pinning matching builds to the executor
+     * @param  {Number}         [config.executor[x].maxConcurrent] Optional limit of builds running on the executor
+     * @param  {Object}         [config.executor[x].circuitBreaker] Optional thresholds to stop routing builds to
+     *                                                      the executor after consecutive start failures
+     * @param  {Array}          [config.executor[x].schedule] Optional cron windows with their own weightage
+     * @param  {Array}          [config.executor[x].maintenance] Optional cron windows the executor takes
+     *                                                      no new builds in
+     * @param  {Boolean}        [config.executor[x].draining] Optional flag to route no new builds to the executor
      */
     constructor(config = {}) {
         const ecosystem = config.ecosystem || {};
-        const { executor, defaultPlugin } = config;
+        const {
+            aliases = {},
+            annotationPolicy = {},
+            buildStore,
+            buildTtlMs,
+            clock,
+            defaultPlugin,
+            executor,
+            failover,
+            resourceTiers = {},
+            rules = [],
+            strict,
+            weighting = {}
+        } = config;
 
         if (!executor || !Array.isArray(executor) || executor.length === 0) {
             throw new Error('No executor config passed in.');
         }
+        validateConfig(config);
         super();
 
-        let ExecutorPlugin;
-
+        this._ecosystem = ecosystem;
+        this._defaultPlugin = defaultPlugin;
+        this._aliases = {};
+        this._annotationPolicy = {
+            unknown: 'fallback',
+            unauthorized: 'fallback',
+            draining: 'fallback',
+            ...annotationPolicy
+        };
         this._executors = [];
+        this._loadFailures = [];
+        this._fallbacks = {};
+        this._retired = {};
+        this._clock = clock || (() => Date.now());
+        this._buildStore = buildStore || new MemoryBuildStore({ ttlMs: buildTtlMs, clock: this._clock });
+        this._failover = !!failover;
+        this._resourceTiers = {
+            cpu: { ...DEFAULT_TIERS.cpu, ...resourceTiers.cpu },
+            ram: { ...DEFAULT_TIERS.ram, ...resourceTiers.ram }
+        };
+        this._weighting = { strategy: 'random', hashKey: 'jobId', ...weighting };
+        this._circuits = {};
+        this._canaries = {};
+        this._metrics = {};
+        // executors holding the in-flight slot of each build started by this router
+        this._running = new Map();
+        this.events = new EventEmitter();
 
-        executor.forEach(plugin => {
-            try {
-                const pluginName = plugin.pluginName || plugin.name;
+        executor.forEach(entry => {
+            const plugin = inheritBaseline(entry, executor);
+            let instance;
 
-                // eslint-disable-next-line global-require, import/no-dynamic-require
-                ExecutorPlugin = require(`screwdriver-executor-${pluginName}`);
-                this._executors.push(plugin);
+            this._fallbacks[plugin.name] = plugin.fallbacks || [];
+
+            try {
+                instance = this._loadExecutor(plugin);
             } catch (err) {
+                if (strict) {
+                    throw new Error(`Failed to load executor ${plugin.name}: ${err.message}`);
+                }
                 logger.error(err.message);
+                this._loadFailures.push({ name: plugin.name, error: err.message });
 
                 return;
             }
-            // Add ecosystem to executor options
-            const options = Object.assign({ ecosystem }, plugin.options);
 
-            this[plugin.name] = new ExecutorPlugin(options);
+            this._executors.push(plugin);
+            this._registerExecutor(plugin, instance);
+        });
+
+        collectAliases(aliases).forEach(alias => {
+            this._aliases[alias.name] = alias;
         });
 
         // executor rules chain
-        // order-> annotated > weighted > default
+        // order-> annotated > matched > weighted > default
         this._executorRules = [
             {
                 name: 'annotated',
-                check: buildConfig => {
+                check: (buildConfig, router, { operation, dryRun } = {}) => {
                     const annotations = this.parseAnnotations(buildConfig.annotations || {});
+                    const requested = annotations[ANNOTATION_EXECUTOR_TYPE];
+
+                    if (!requested) {
+                        return undefined;
+                    }
+
+                    const executorName = this.resolveAlias(requested);
+
+                    // a build not allowed on the executor may not use its fallbacks either
+                    if (operation === 'start' && !this.isAllowed(executorName, buildConfig)) {
+                        const policy = this._annotationPolicy.unauthorized;
+                        const message = `Build ${buildConfig.buildId} is not allowed to use executor ${executorName}`;
+
+                        if (!dryRun) {
+                            this._emit('unauthorized', {
+                                executor: executorName,
+                                buildId: buildConfig.buildId,
+                                policy
+                            });
+                        }
+
+                        if (policy === 'reject') {
+                            throw new RoutingError(message);
+                        }
+
+                        logger.warn(`${message}, falling back to the other rules`);
+
+                        return undefined;
+                    }
 
-                    return annotations[ANNOTATION_EXECUTOR_TYPE];
+                    if (
+                        operation === 'start' &&
+                        (!this.isRegistered(executorName) || !this.isExecutorAvailable(executorName))
+                    ) {
+                        const [fallback] = this.getFallbacks(executorName, buildConfig);
+
+                        if (fallback) {
+                            logger.warn(
+                                `Executor ${executorName} from the executor annotation is unavailable for build ` +
+                                    `${buildConfig.buildId}, falling back to ${fallback}`
+                            );
+
+                            if (!dryRun) {
+                                this._emit('fallback', {
+                                    executor: executorName,
+                                    fallback,
+                                    buildId: buildConfig.buildId
+                                });
+                            }
+
+                            return fallback;
+                        }
+                    }
+
+                    if (!this.isRegistered(executorName) && operation === 'start') {
+                        const valid = this._executors.map(e => e.name).join(', ');
+                        const message = `Executor ${requested} from the executor annotation does not exist`;
+
+                        if (this._annotationPolicy.unknown === 'reject') {
+                            throw new RoutingError(`${message}, valid executors are: ${valid}`);
+                        }
+
+                        logger.warn(`${message} for build ${buildConfig.buildId}, falling back to the other rules`);
+                    }
+
+                    if (
+                        operation === 'start' &&
+                        this.isRegistered(executorName) &&
+                        !this.meetsRequirements(executorName, buildConfig)
+                    ) {
+                        const message = `Executor ${executorName} from the executor annotation`;
+                        const annotated = this._executors.find(e => e.name === executorName);
+
+                        if (!this.supportsPlatform(executorName, buildConfig)) {
+                            throw new RoutingError(
+                                `${message} does not support platform ${this.getBuildPlatform(buildConfig)} of ` +
+                                    `build ${buildConfig.buildId}, its platforms are: ` +
+                                    `${getExecutorPlatforms(annotated).join(', ')}`
+                            );
+                        }
+
+                        throw new RoutingError(
+                            `${message} cannot offer the resources requested by build ${buildConfig.buildId}: ` +
+                                `${this._describeResources(buildConfig)}`
+                        );
+                    }
+
+                    const unavailable = operation === 'start' && this._describeUnavailable(executorName);
+
+                    if (unavailable) {
+                        const message = `Executor ${executorName} from the executor annotation ${unavailable}`;
+
+                        if (this._annotationPolicy.draining === 'reject') {
+                            throw new RoutingError(message);
+                        }
+
+                        logger.warn(`${message} for build ${buildConfig.buildId}, falling back to the other rules`);
+
+                        return undefined;
+                    }
+
+                    return executorName;
+                }
+            },
+            {
+                name: 'matched',
+                check: (buildConfig, router, { operation } = {}) => {
+                    const matched = this._executors.filter(
+                        e =>
+                            e.match &&
+                            this.isAvailableFor(e.name, operation) &&
+                            matchesBuild(e.match, buildConfig) &&
+                            this.isEligible(e.name, buildConfig, operation)
+                    );
+
+                    if (matched.length === 0) {
+                        return undefined;
+                    }
+
+                    const allowedExecutors = this.checkExclusions(matched, buildConfig.container);
+
+                    return (
+                        this.getWeightedExecutor(allowedExecutors, buildConfig) ||
+                        (allowedExecutors[0] && allowedExecutors[0].name)
+                    );
                 }
             },
             {
                 name: 'weighted',
-                check: buildConfig => {
-                    const allowedExecutors = this.checkExclusions(this._executors, buildConfig.container);
+                check: (buildConfig, router, { operation } = {}) => {
+                    const allowedExecutors = this.checkExclusions(this._executors, buildConfig.container).filter(
+                        e =>
+                            !e.canary &&
+                            this.isAvailableFor(e.name, operation) &&
+                            this.isEligible(e.name, buildConfig, operation)
+                    );
+                    const executorName = this.getWeightedExecutor(allowedExecutors, buildConfig);
 
-                    return this.getWeightedExecutor(allowedExecutors);
+                    return (executorName && this.getCanary(executorName, buildConfig, operation)) || executorName;
                 }
             },
             {
                 name: 'default',
-                check: () => defaultPlugin || (this._executors[0] && this._executors[0].name)
+                check: (buildConfig, router, { operation } = {}) => {
+                    const defaultName = this._defaultPlugin || (this._executors[0] && this._executors[0].name);
+                    const permitted = name => this.isEligible(name, buildConfig, operation);
+
+                    if (operation === 'start') {
+                        this.checkRequirements(buildConfig);
+                    }
+
+                    if (this.isAvailableFor(defaultName, operation) && permitted(defaultName)) {
+                        return defaultName;
+                    }
+
+                    const available = this._executors.find(
+                        e => !e.canary && this.isAvailableFor(e.name, operation) && permitted(e.name)
+                    );
+
+                    if (available) {
+                        return available.name;
+                    }
+
+                    if (!permitted(defaultName)) {
+                        throw new RoutingError(`No executor is allowed for build ${buildConfig.buildId}`);
+                    }
+
+                    if (operation === 'start' && this.isDraining(defaultName)) {
+                        const active = this._executors.find(e => !e.canary && !e.draining && permitted(e.name));
+
+                        if (!active) {
+                            throw new RoutingError(
+                                `All executors are draining, cannot start build ${buildConfig.buildId}`
+                            );
+                        }
+
+                        return active.name;
+                    }
+
+                    return defaultName;
+                }
             }
         ];
 
+        rules.forEach(rule => this.registerRule(rule));
+
         if (!this._executorRules.find(a => a.name === 'default').check()) {
             throw new Error('No default executor set.');
         }
     }
 
     /**
-     * Returns the executor based on a random selection optimized on weightage
-     * @param {Array} executors
-     * @return {String} executor name
+     * Constructs the plugin of an executor
+     * @method _loadExecutor
+     * @param  {Object} plugin              Executor config
+     * @param  {String} plugin.name         Name of the executor
+     * @param  {String} [plugin.pluginName] Name of the executor NPM module to load, defaults to name
+     * @param  {Object} [plugin.options]    Configuration to construct the module with
+     * @return {Object}                     Executor plugin
      */
-    getWeightedExecutor(executors) {
-        const totalWeight = executors.reduce((prev, curr) => prev + (+curr.weightage || 0), 0);
+    _loadExecutor(plugin) {
+        const pluginName = plugin.pluginName || plugin.name;
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        const ExecutorPlugin = require(`screwdriver-executor-${pluginName}`);
+        // Add ecosystem to executor options
+        const options = { ecosystem: this._ecosystem, ...plugin.options };
 
-        if (totalWeight === 0) {
-            return undefined;
+        return new ExecutorPlugin(options);
+    }
+
+    /**
+     * Makes a loaded executor plugin available to the executor rules
+     * @method _registerExecutor
+     * @param  {Object} plugin   Executor config
+     * @param  {Object} instance Executor plugin
+     */
+    _registerExecutor(plugin, instance) {
+        this[plugin.name] = instance;
+        delete this._retired[plugin.name];
+        this._loadFailures = this._loadFailures.filter(failure => failure.name !== plugin.name);
+
+        (plugin.aliases || []).forEach(alias => {
+            const normalized = normalizeAlias(alias, plugin.name);
+
+            this._aliases[normalized.name] = normalized;
+        });
+
+        if (!this._metrics[plugin.name]) {
+            this._metrics[plugin.name] = {
+                inFlight: 0,
+                routed: 0,
+                start: { success: 0, failure: 0 },
+                stop: { success: 0, failure: 0 },
+                verify: { success: 0, failure: 0 }
+            };
         }
-        const number = Math.floor(Math.random() * totalWeight);
 
-        let sum = 0;
+        if (plugin.circuitBreaker) {
+            this._circuits[plugin.name] = new CircuitBreaker(plugin.circuitBreaker);
+        }
+
+        this._compilePatterns(plugin);
+    }
+
+    /**
+     * Compiles the container patterns of an executor ahead of routing
+     * @method _compilePatterns
+     * @param  {Object} plugin Executor config
+     */
+    _compilePatterns(plugin) {
+        [...(plugin.exclusions || []), ...(plugin.inclusions || [])]
+            .flatMap(rule => (typeof rule === 'string' ? [rule] : IMAGE_FIELDS.map(field => rule[field])))
+            .filter(rule => rule !== undefined)
+            .forEach(getMatcher);
+    }
+
+    /**
+     * Checks if an executor is registered with the router
+     * @method isRegistered
+     * @param  {String}  executorName Executor name
+     * @return {Boolean}
+     */
+    isRegistered(executorName) {
+        return this._executors.some(e => e.name === executorName);
+    }
+
+    /**
+     * Resolves an alternative executor name through the aliases.
+     * Deprecated aliases log a warning, retired aliases no longer resolve.
+     * @method resolveAlias
+     * @param  {String}  executorName   Executor name or alias
+     * @param  {Object}  [options]
+     * @param  {Boolean} [options.quiet] Whether to skip the warnings, for names already resolved once
+     * @return {String}                  Executor name
+     */
+    resolveAlias(executorName, { quiet } = {}) {
+        const alias = this._aliases[executorName];
+
+        if (!alias) {
+            return executorName;
+        }
+
+        const retireAt = alias.retireAt && new Date(alias.retireAt).toISOString();
+
+        if (alias.retireAt && this._clock() >= alias.retireAt) {
+            if (!quiet) {
+                logger.warn(`Executor alias ${alias.name} was retired on ${retireAt}, use ${alias.executor} instead`);
+            }
+
+            return executorName;
+        }
 
-        for (let i = 0; i < executors.length; i += 1) {
-            sum += parseInt(executors[i].weightage, 10) || 0;
+        if (alias.deprecated && !quiet) {
+            const schedule = retireAt ? ` and will be retired on ${retireAt}` : '';
 
-            if (number < sum) return executors[i].name;
+            logger.warn(`Executor alias ${alias.name} is deprecated${schedule}, use ${alias.executor} instead`);
         }
 
-        return executors[0].name;
+        return alias.executor;
     }
 
     /**
-     * Checks if executor is excluded for a container.
-     * @method checkExclusions
-     * @param {Array} executors
-     * @param {String} container
+     * Returns the plugin of an executor, including removed executors that may still run builds
+     * @method getPlugin
+     * @param  {String} executorName Executor name
+     * @return {Object}              Executor plugin
      */
-    checkExclusions(executors, container) {
-        return executors.filter(executor => {
-            const { exclusions } = executor;
+    getPlugin(executorName) {
+        return this.isRegistered(executorName) ? this[executorName] : this._retired[executorName];
+    }
+
+    /**
+     * Adds an executor at runtime
+     * @method addExecutor
+     * @param  {Object} entry Executor config, as in config.executor of the constructor
+     */
+    addExecutor(entry) {
+        validateExecutor(entry);
+        this._validateBaseline(entry);
+        this._validateFallbacks(entry);
+
+        const plugin = inheritBaseline(entry, this._executors);
 
-            if (!exclusions) return true;
+        if (this.isRegistered(plugin.name) || this._aliases[plugin.name]) {
+            throw new Error(`Executor ${plugin.name} already exists.`);
+        }
 
-            return !exclusions.some(item => {
-                const regEx = new RegExp(item, 'gi');
+        (plugin.aliases || []).forEach(alias => {
+            const { name } = normalizeAlias(alias, plugin.name);
 
-                return container.match(regEx);
-            });
+            if (this.isRegistered(name) || this._aliases[name]) {
+                throw new Error(`Executor alias ${name} already exists.`);
+            }
         });
+
+        const instance = this._loadExecutor(plugin);
+
+        this._fallbacks[plugin.name] = plugin.fallbacks || [];
+        this._executors = [...this._executors, plugin];
+        this._registerExecutor(plugin, instance);
+        logger.info(`Added executor ${plugin.name}`);
     }
 
     /**
-     * Evaluates the executor rules by priority and returns the first matching executor
-     * @method getExecutor
-     * @param  {Object} config               Configuration
-     * @param  {Object} [config.annotations] Optional key/value object
-     * @param  {String} config.apiUri        Screwdriver's API
-     * @param  {Object} [config.build]       Build object
-     * @param  {String} config.buildId       Unique ID for a build
-     * @param  {String} config.container     Container for the build to run in
-     * @param  {String} config.token         JWT to act on behalf of the build
-     * @return {Object} executor object
+     * Removes an executor at runtime. Builds already running on it can still be stopped and verified.
+     * @method removeExecutor
+     * @param  {String} executorName Executor name
      */
-    getExecutor(config) {
-        let executorName;
+    removeExecutor(executorName) {
+        if (!this.isRegistered(executorName)) {
+            throw new Error(`Executor ${executorName} does not exist.`);
+        }
 
-        for (const rule of this._executorRules) {
-            try {
-                executorName = rule.check(config);
-                if (executorName && this[executorName]) {
-                    break;
-                }
-            } catch (err) {
-                logger.error(`Failed to validate executor rule ${rule.name}`, err);
+        if (this._executors.length === 1) {
+            throw new Error(`Executor ${executorName} is the only executor.`);
+        }
+
+        if (this._defaultPlugin === executorName) {
+            throw new Error(`Executor ${executorName} is the default executor.`);
+        }
+
+        const canaries = this._executors.filter(e => e.canary && e.canary.baseline === executorName);
+
+        if (canaries.length > 0) {
+            throw new Error(`Executor ${executorName} is the baseline of ${canaries.map(e => e.name).join(', ')}.`);
+        }
+
+        // entries that failed to load keep their fallbacks for builds annotated with them
+        const dependents = Object.keys(this._fallbacks).filter(name => this._fallbacks[name].includes(executorName));
+
+        if (dependents.length > 0) {
+            throw new Error(`Executor ${executorName} is a fallback of ${dependents.join(', ')}.`);
+        }
+
+        this._retired[executorName] = this[executorName];
+        this._executors = this._executors.filter(e => e.name !== executorName);
+        delete this[executorName];
+        delete this._circuits[executorName];
+        delete this._fallbacks[executorName];
+        logger.info(`Removed executor ${executorName}`);
+    }
+
+    /**
+     * Changes the routing settings of an executor at runtime
+     * @method updateExecutor
+     * @param  {String} executorName         Executor name
+     * @param  {Object} changes              Settings to change
+     * @param  {Number} [changes.weightage]  Weightage
+     * @param  {Array}  [changes.exclusions] Regexes of containers the executor does not take
+     * @param  {Array}  [changes.inclusions] Regexes of the only containers the executor takes
+     * @param  {Object} [changes.match]      Rule pinning matching builds to the executor
+     * @param  {Number} [changes.maxConcurrent] Limit of builds running on the executor
+     * @param  {Object} [changes.allow]      Builds that may use the executor
+     * @param  {Object} [changes.canary]     Canary rollout, e.g. a new percentage
+     * @param  {Array}  [changes.schedule]   Cron windows with their own weightage
+     * @param  {Array}  [changes.maintenance] Cron windows the executor takes no new builds in
+     * @param  {Array}  [changes.platforms]  Platforms the executor supports
+     * @param  {Object} [changes.maxResources] Largest resources the executor can offer a build
+     * @param  {Array}  [changes.fallbacks]  Executors to try in order when the executor is unavailable or fails
+     */
+    updateExecutor(executorName, changes) {
+        if (!this.isRegistered(executorName)) {
+            throw new Error(`Executor ${executorName} does not exist.`);
+        }
+
+        const unknown = Object.keys(changes).filter(key => !UPDATABLE_KEYS.includes(key));
+
+        if (unknown.length > 0) {
+            throw new Error(`Executor settings ${unknown.join(', ')} cannot be changed.`);
+        }
+
+        const updated = { ...this._executors.find(e => e.name === executorName), ...changes };
+
+        validateExecutor(updated);
+        this._validateBaseline(updated);
+        this._validateFallbacks(updated);
+
+        this._compilePatterns(updated);
+        this._fallbacks[executorName] = updated.fallbacks || [];
+        this._executors = this._executors.map(e => (e.name === executorName ? updated : e));
+        logger.info(`Updated executor ${executorName} with ${JSON.stringify(changes)}`);
+    }
+
+    /**
+     * Checks that the baseline of a canary entry is a registered executor that is not a canary itself
+     * @method _validateBaseline
+     * @param  {Object} plugin Executor config
+     */
+    _validateBaseline(plugin) {
+        if (!plugin.canary) {
+            return;
+        }
+
+        const { baseline } = plugin.canary;
+        const executor = this._executors.find(e => e.name === baseline);
+
+        if (!executor || executor.canary || baseline === plugin.name) {
+            throw new Error(`Executor ${baseline} is not a baseline executor.`);
+        }
+    }
+
+    /**
+     * Checks that the fallbacks of an executor entry are other configured executors
+     * @method _validateFallbacks
+     * @param  {Object} plugin Executor config
+     */
+    _validateFallbacks(plugin) {
+        (plugin.fallbacks || []).forEach(name => {
+            const configured = this.isRegistered(name) || this._loadFailures.some(failure => failure.name === name);
+
+            if (!configured || name === plugin.name) {
+                throw new Error(`Executor ${name} is not a fallback executor.`);
             }
+        });
+    }
+
+    /**
+     * Returns the fallbacks of an executor that can start a build, in their configured order
+     * @method getFallbacks
+     * @param  {String} executorName Executor name
+     * @param  {Object} config       Build configuration
+     * @return {Array}               Executor names
+     */
+    getFallbacks(executorName, config) {
+        const fallbacks = (this._fallbacks[executorName] || [])
+            .map(name => this._executors.find(e => e.name === name))
+            .filter(
+                executor =>
+                    executor &&
+                    this.isExecutorAvailable(executor.name) &&
+                    this.isEligible(executor.name, config, 'start')
+            );
+
+        return this.checkExclusions(fallbacks, config.container).map(executor => executor.name);
+    }
+
+    /**
+     * Returns the canary a build weighted onto a baseline executor is diverted to,
+     * for the canary's pipelines and for its percentage of the other builds, split by the hash key
+     * of the build with the hash strategy
+     * @method getCanary
+     * @param  {String} executorName        Name of the baseline executor
+     * @param  {Object} config              Build configuration
+     * @param  {String} [operation]         Operation the build is routed for
+     * @return {String}                     Canary executor name, undefined to stay on the baseline
+     */
+    getCanary(executorName, config, operation) {
+        const canary = this._executors.find(
+            e => e.canary && e.canary.baseline === executorName && !this.getCanaryState(e.name).halted
+        );
+
+        if (
+            !canary ||
+            !this.isAvailableFor(canary.name, operation) ||
+            !this.isEligible(canary.name, config, operation) ||
+            this.checkExclusions([canary], config.container).length === 0
+        ) {
+            return undefined;
+        }
+
+        const { pipelineIds, percentage = 0 } = canary.canary;
+
+        if (pipelineIds && matchesPipelineIds(pipelineIds, getPipelineId(config))) {
+            return canary.name;
         }
 
-        return this[executorName];
+        // with the hash strategy a job or pipeline stays on the same side of the split, and raising
+        // the percentage only moves more of them to the canary
+        const hashKey = this.getHashKey(config);
+        const roll = hashKey === undefined ? Math.random() : getHashUnit(hashKey, canary.name);
+
+        return roll * 100 < percentage ? canary.name : undefined;
     }
 
     /**
-     * Starts a new build in an executor
-     * @method _start
-     * @param  {Object} config               Configuration
-     * @param  {Object} [config.annotations] Optional key/value object
-     * @param  {String} config.apiUri        Screwdriver's API
-     * @param  {Object} [config.build]       Build object
-     * @param  {String} config.buildId       Unique ID for a build
-     * @param  {String} config.container     Container for the build to run in
-     * @param  {String} config.token         JWT to act on behalf of the build
-     * @return {Promise}
+     * Returns the rollout state of a canary: whether it was halted and the start outcomes
+     * of the canary and its baseline since it was last resumed
+     * @method getCanaryState
+     * @param  {String} executorName Canary executor name
+     * @return {Object}              Object with halted, canary and baseline counters
      */
-    _start(config) {
-        const executor = this.getExecutor(config);
+    getCanaryState(executorName) {
+        if (!this._canaries[executorName]) {
+            this._canaries[executorName] = {
+                halted: false,
+                canary: { success: 0, failure: 0 },
+                baseline: { success: 0, failure: 0 }
+            };
+        }
 
-        return executor.start(config);
+        return this._canaries[executorName];
     }
 
     /**
-     * Stop a running or finished build
-     * @method _stop
-     * @param  {Object} config               Configuration
-     * @param  {Object} [config.annotations] Optional key/value object
-     * @param  {String} config.buildId       Unique ID for a build
-     * @return {Promise}
+     * Resumes routing builds to a halted canary, comparing failure rates from scratch
+     * @method resumeCanary
+     * @param  {String} executorName Canary executor name
      */
-    _stop(config) {
-        const executor = this.getExecutor(config);
+    resumeCanary(executorName) {
+        const executor = this._executors.find(e => e.name === executorName);
+
+        if (!executor || !executor.canary) {
+            throw new Error(`Executor ${executorName} is not a canary.`);
+        }
 
-        return executor.stop(config);
+        delete this._canaries[executorName];
+        logger.info(`Resumed canary ${executorName}`);
     }
 
     /**
-     * Verifies the status of a build in an executor
-     * @method _start
-     * @param  {Object} config               Configuration
-     * @param  {Object} [config.annotations] Optional key/value object
-     * @param  {String} config.apiUri        Screwdriver's API
-     * @param  {Object} [config.build]       Build object
-     * @param  {String} config.buildId       Unique ID for a build
-     * @param  {String} config.container     Container for the build to run in
-     * @param  {String} config.token         JWT to act on behalf of the build
-     * @return {Promise}
+     * Counts a start on a canary or its baseline and halts the canary once its failure rate
+     * exceeds the baseline's by more than maxFailureRate
+     * @method _recordCanaryStart
+     * @param  {String}  executorName Executor the build was started on
+     * @param  {Boolean} success      Whether the build started
+     */
+    _recordCanaryStart(executorName, success) {
+        this._executors
+            .filter(e => e.canary && (e.name === executorName || e.canary.baseline === executorName))
+            .forEach(({ name, canary }) => {
+                const state = this.getCanaryState(name);
+                const counters = name === executorName ? state.canary : state.baseline;
+                const { maxFailureRate = 0.1, minBuilds = 10 } = canary;
+
+                counters[success ? 'success' : 'failure'] += 1;
+
+                if (state.halted || state.canary.success + state.canary.failure < minBuilds) {
+                    return;
+                }
+
+                const failureRate = getFailureRate(state.canary);
+                const baselineFailureRate = getFailureRate(state.baseline);
+
+                if (failureRate > baselineFailureRate + maxFailureRate) {
+                    state.halted = true;
+                    logger.error(
+                        `Stopped routing builds to canary ${name}: failure rate ${failureRate.toFixed(2)} ` +
+                            `exceeds ${baselineFailureRate.toFixed(2)} of ${canary.baseline} by more than ${maxFailureRate}`
+                    );
+                    this._emit('canaryHalted', {
+                        executor: name,
+                        baseline: canary.baseline,
+                        failureRate,
+                        baselineFailureRate
+                    });
+                }
+            });
+    }
+
+    /**
+     * Stops routing new builds to an executor. Builds already running on it can still be stopped and verified.
+     * @method drainExecutor
+     * @param  {String} executorName Executor name
+     */
+    drainExecutor(executorName) {
+        this._setDraining(executorName, true);
+        logger.info(`Draining executor ${executorName}`);
+    }
+
+    /**
+     * Routes new builds to a draining executor again
+     * @method undrainExecutor
+     * @param  {String} executorName Executor name
+     */
+    undrainExecutor(executorName) {
+        this._setDraining(executorName, false);
+        logger.info(`Stopped draining executor ${executorName}`);
+    }
+
+    /**
+     * Marks an executor as draining or not
+     * @method _setDraining
+     * @param  {String}  executorName Executor name
+     * @param  {Boolean} draining     Whether the executor is draining
+     */
+    _setDraining(executorName, draining) {
+        if (!this.isRegistered(executorName)) {
+            throw new Error(`Executor ${executorName} does not exist.`);
+        }
+
+        this._executors = this._executors.map(e => (e.name === executorName ? { ...e, draining } : e));
+    }
+
+    /**
+     * Checks if an executor is draining
+     * @method isDraining
+     * @param  {String}  executorName Executor name
+     * @return {Boolean}
+     */
+    isDraining(executorName) {
+        return this._executors.some(e => e.name === executorName && e.draining);
+    }
+
+    /**
+     * Checks if an executor runs as many builds as its maxConcurrent
+     * @method isFull
+     * @param  {String}  executorName Executor name
+     * @return {Boolean}
+     */
+    isFull(executorName) {
+        const executor = this._executors.find(e => e.name === executorName);
+
+        return Boolean(executor && executor.maxConcurrent && this.getInFlight(executorName) >= executor.maxConcurrent);
+    }
+
+    /**
+     * Describes why builds annotated with an executor cannot start on it. An open circuit is not a reason,
+     * annotated builds are still started on it.
+     * @method _describeUnavailable
+     * @param  {String} executorName Executor name
+     * @return {String}              Reason, undefined when builds can start on the executor
+     */
+    _describeUnavailable(executorName) {
+        if (this.isDraining(executorName)) {
+            return 'is draining';
+        }
+
+        const executor = this._executors.find(e => e.name === executorName);
+
+        if (executor && isInMaintenance(executor, this._clock())) {
+            return 'is in a maintenance window';
+        }
+
+        if (this.isFull(executorName)) {
+            return `already runs its maxConcurrent of ${this.getInFlight(executorName)} builds`;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Sets the default executor at runtime
+     * @method setDefaultExecutor
+     * @param  {String} executorName Executor name
+     */
+    setDefaultExecutor(executorName) {
+        if (!this.isRegistered(executorName)) {
+            throw new Error(`Executor ${executorName} does not exist.`);
+        }
+
+        this._defaultPlugin = executorName;
+        logger.info(`Set default executor to ${executorName}`);
+    }
+
+    /**
+     * Adds a custom rule to the executor rules chain, before the default rule unless positioned otherwise
+     * @method registerRule
+     * @param  {Object}   rule          Rule to add
+     * @param  {String}   rule.name     Unique name of the rule
+     * @param  {Function} [rule.check]  Function called with the build config and the router,
+     *                                  returning an executor name or nothing to continue with the next rule
+     * @param  {String}   [rule.module] NPM module exporting the check function or an object with a check function
+     * @param  {String}   [rule.before] Name of the rule to add this rule before
+     * @param  {String}   [rule.after]  Name of the rule to add this rule after
+     */
+    registerRule(rule) {
+        const { name, before, after } = rule;
+        let { check } = rule;
+
+        if (!name) {
+            throw new Error('Executor rule must have a name.');
+        }
+
+        if (this._executorRules.some(r => r.name === name)) {
+            throw new Error(`Executor rule ${name} already exists.`);
+        }
+
+        if (rule.module) {
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            const ruleModule = require(rule.module);
+
+            check = typeof ruleModule === 'function' ? ruleModule : ruleModule.check;
+        }
+
+        if (typeof check !== 'function') {
+            throw new Error(`Executor rule ${name} must have a check function.`);
+        }
+
+        const anchor = after || before || 'default';
+        const index = this._executorRules.findIndex(r => r.name === anchor);
+
+        if (index === -1) {
+            throw new Error(`Executor rule ${anchor} does not exist.`);
+        }
+
+        this._executorRules.splice(after ? index + 1 : index, 0, { name, check });
+    }
+
+    /**
+     * Checks if a build may use an executor, i.e. the executor has no allow-list or the build is on it
+     * @method isAllowed
+     * @param  {String}  executorName Executor name
+     * @param  {Object}  config       Build configuration
+     * @return {Boolean}
+     */
+    isAllowed(executorName, config) {
+        const executor = this._executors.find(e => e.name === executorName);
+
+        return !executor || !executor.allow || isAllowedBuild(executor.allow, config);
+    }
+
+    /**
+     * Returns the platform a build needs, from the platform annotation or the container tag
+     * @method getBuildPlatform
+     * @param  {Object} config               Build configuration
+     * @param  {Object} [config.annotations] Key/value object
+     * @param  {String} [config.container]   Container for the build to run in
+     * @return {String}                      Platform, e.g. linux/arm64
+     */
+    getBuildPlatform(config) {
+        const image = typeof config.container === 'string' ? parseImageReference(config.container) : undefined;
+
+        return getBuildPlatform(config, image);
+    }
+
+    /**
+     * Checks if an executor supports the platform a build needs.
+     * Builds are only routed by platform once an executor declares its platforms.
+     * @method supportsPlatform
+     * @param  {String}  executorName Executor name
+     * @param  {Object}  config       Build configuration
+     * @return {Boolean}
+     */
+    supportsPlatform(executorName, config) {
+        const executor = this._executors.find(e => e.name === executorName);
+
+        if (!executor || !this._executors.some(e => e.platforms)) {
+            return true;
+        }
+
+        return getExecutorPlatforms(executor).includes(this.getBuildPlatform(config));
+    }
+
+    /**
+     * Returns the resources a build requests with its cpu, ram, disk and diskSpeed annotations
+     * @method getResourceRequest
+     * @param  {Object} config               Build configuration
+     * @param  {Object} [config.annotations] Key/value object
+     * @return {Object}                      Requested cpu cores, ram GB and disk and diskSpeed ranks
+     */
+    getResourceRequest(config) {
+        return getResourceRequest(this.parseAnnotations(config.annotations || {}), this._resourceTiers);
+    }
+
+    /**
+     * Checks if an executor can offer the resources a build requests
+     * @method canSatisfyResources
+     * @param  {String}  executorName Executor name
+     * @param  {Object}  config       Build configuration
+     * @return {Boolean}
+     */
+    canSatisfyResources(executorName, config) {
+        const executor = this._executors.find(e => e.name === executorName);
+
+        if (!executor || !executor.maxResources) {
+            return true;
+        }
+
+        return satisfiesRequest(executor.maxResources, this.getResourceRequest(config), this._resourceTiers);
+    }
+
+    /**
+     * Describes the resources a build requests, e.g. cpu HIGH, ram 16
+     * @method _describeResources
+     * @param  {Object} config Build configuration
+     * @return {String}
+     */
+    _describeResources(config) {
+        const annotations = this.parseAnnotations(config.annotations || {});
+
+        return Object.keys(this.getResourceRequest(config))
+            .map(resource => `${resource} ${annotations[resource]}`)
+            .join(', ');
+    }
+
+    /**
+     * Checks if an executor supports the platform of a build and can offer the resources it requests
+     * @method meetsRequirements
+     * @param  {String}  executorName Executor name
+     * @param  {Object}  config       Build configuration
+     * @return {Boolean}
+     */
+    meetsRequirements(executorName, config) {
+        return this.supportsPlatform(executorName, config) && this.canSatisfyResources(executorName, config);
+    }
+
+    /**
+     * Throws when no executor both supports the platform of a build and can offer the resources it requests
+     * @method checkRequirements
+     * @param  {Object} config Build configuration
+     */
+    checkRequirements(config) {
+        const executors = this._executors.filter(e => !e.canary);
+
+        if (executors.some(e => this.meetsRequirements(e.name, config))) {
+            return;
+        }
+
+        const platform = this.getBuildPlatform(config);
+        const { buildId } = config;
+
+        if (!executors.some(e => this.supportsPlatform(e.name, config))) {
+            const platforms = [...new Set(executors.flatMap(getExecutorPlatforms))].join(', ');
+
+            throw new RoutingError(
+                `No executor supports platform ${platform} of build ${buildId}, supported platforms are: ${platforms}`
+            );
+        }
+
+        if (!executors.some(e => this.canSatisfyResources(e.name, config))) {
+            throw new RoutingError(
+                `No executor can offer the resources requested by build ${buildId}: ${this._describeResources(config)}`
+            );
+        }
+
+        throw new RoutingError(
+            `No executor supports platform ${platform} and can offer the resources requested by build ` +
+                `${buildId}: ${this._describeResources(config)}`
+        );
+    }
+
+    /**
+     * Checks if a build may be started on an executor, i.e. the build is allowed on it,
+     * it supports the build's platform and it can offer the requested resources.
+     * Other operations are not restricted.
+     * @method isEligible
+     * @param  {String}  executorName Executor name
+     * @param  {Object}  config       Build configuration
+     * @param  {String}  [operation]  Operation the build is routed for
+     * @return {Boolean}
+     */
+    isEligible(executorName, config, operation) {
+        if (operation !== 'start') {
+            return true;
+        }
+
+        return this.isAllowed(executorName, config) && this.meetsRequirements(executorName, config);
+    }
+
+    /**
+     * Checks if new builds can be routed to an executor, i.e. it is not draining, its circuit is not open,
+     * it is not in a maintenance window and it runs fewer builds than its maxConcurrent
+     * @method isExecutorAvailable
+     * @param  {String}  executorName Executor name
+     * @return {Boolean}
+     */
+    isExecutorAvailable(executorName) {
+        const now = this._clock();
+        const circuit = this._circuits[executorName];
+        const executor = this._executors.find(e => e.name === executorName);
+
+        if (circuit && !circuit.isAvailable(now)) {
+            return false;
+        }
+
+        if (executor && (executor.draining || isInMaintenance(executor, now))) {
+            return false;
+        }
+
+        return !this.isFull(executorName);
+    }
+
+    /**
+     * Checks if the rules may route a build to an executor for an operation. Only starts of builds
+     * and of their periodic or frozen schedules need an available executor.
+     * @method isAvailableFor
+     * @param  {String}  executorName Executor name
+     * @param  {String}  [operation]  Operation the build is routed for
+     * @return {Boolean}
+     */
+    isAvailableFor(executorName, operation) {
+        return !STARTING_OPERATIONS.includes(operation) || this.isExecutorAvailable(executorName);
+    }
+
+    /**
+     * Returns the weightage of an executor at the current time of the clock
+     * @method getWeightage
+     * @param  {Object} executor Executor config
+     * @return {Number}          Weightage from the open schedule window or the executor config
+     */
+    getWeightage(executor) {
+        return parseInt(getScheduledWeightage(executor, this._clock()), 10) || 0;
+    }
+
+    /**
+     * Returns the number of builds started on an executor by this router and not stopped yet
+     * @method getInFlight
+     * @param  {String} executorName Executor name
+     * @return {Number}
+     */
+    getInFlight(executorName) {
+        return this._metrics[executorName] ? this._metrics[executorName].inFlight : 0;
+    }
+
+    /**
+     * Returns the executor based on a random selection optimized on weightage.
+     * With the hash strategy the selection is derived from the build's hash key instead,
+     * so a job stays on the same executor while the weights do not change.
+     * With the least-loaded strategy the selection is made among the executors with the lowest load.
+     * Weightages follow the executor schedules.
+     * @param {Array} executors
+     * @param {Object} [config] Build configuration
+     * @return {String} executor name
+     */
+    getWeightedExecutor(executors, config) {
+        const scheduled = executors.map(executor => ({ ...executor, weightage: this.getWeightage(executor) }));
+        const candidates = this._weighting.strategy === 'least-loaded' ? this.getLeastLoaded(scheduled) : scheduled;
+        const totalWeight = candidates.reduce((prev, curr) => prev + (+curr.weightage || 0), 0);
+
+        if (totalWeight === 0) {
+            return undefined;
+        }
+
+        const hashKey = config && this.getHashKey(config);
+
+        if (hashKey !== undefined) {
+            return candidates.reduce(
+                (best, executor) => {
+                    const score = getHashScore(hashKey, executor);
+
+                    return score > best.score ? { name: executor.name, score } : best;
+                },
+                { score: 0 }
+            ).name;
+        }
+        const number = Math.floor(Math.random() * totalWeight);
+
+        let sum = 0;
+
+        for (let i = 0; i < candidates.length; i += 1) {
+            sum += parseInt(candidates[i].weightage, 10) || 0;
+
+            if (number < sum) return candidates[i].name;
+        }
+
+        return candidates[0].name;
+    }
+
+    /**
+     * Returns the weighted executors with the lowest load,
+     * the builds in flight relative to maxConcurrent or else to weightage
+     * @method getLeastLoaded
+     * @param  {Array} executors
+     * @return {Array} executors
+     */
+    getLeastLoaded(executors) {
+        const loads = executors
+            .filter(executor => +executor.weightage > 0)
+            .map(executor => ({
+                executor,
+                load: this.getInFlight(executor.name) / (executor.maxConcurrent || +executor.weightage)
+            }));
+        const lowest = Math.min(...loads.map(({ load }) => load));
+
+        return loads.filter(({ load }) => load === lowest).map(({ executor }) => executor);
+    }
+
+    /**
+     * Returns the key a build is hashed on when the weighting strategy is hash
+     * @method getHashKey
+     * @param  {Object} config Build configuration
+     * @return {String}        Hash key, undefined with the random strategy or when the build has no such key
+     */
+    getHashKey(config) {
+        const { strategy, hashKey } = this._weighting;
+
+        if (strategy !== 'hash') {
+            return undefined;
+        }
+
+        const key = hashKey === 'pipelineId' ? getPipelineId(config) : config.jobId;
+
+        return key === undefined || key === null ? undefined : String(key);
+    }
+
+    /**
+     * Checks if executor is excluded for a container.
+     * An executor with inclusions only takes containers matching one of them,
+     * exclusions take precedence over inclusions.
+     * The patterns are compiled once and containers too long to match in bounded time match no pattern.
+     * Rules given as objects match the registry, repository, tag and digest of the normalized image reference.
+     * @method checkExclusions
+     * @param {Array} executors
+     * @param {String} container
+     */
+    checkExclusions(executors, container) {
+        let image;
+
+        return executors.filter(executor => {
+            const { exclusions, inclusions } = executor;
+            const matches = rules => {
+                if (typeof container !== 'string') {
+                    throw new TypeError(`Container ${container} cannot be matched for executor ${executor.name}`);
+                }
+
+                image = image || parseImageReference(container);
+
+                return rules.some(rule => matchesContainer(rule, container, image));
+            };
+
+            if (exclusions && matches(exclusions)) return false;
+
+            return !inclusions || matches(inclusions);
+        });
+    }
+
+    /**
+     * Evaluates the executor rules by priority and returns the first matching executor name
+     * along with the rule that selected it
+     * @method selectExecutor
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.apiUri        Screwdriver's API
+     * @param  {Object} [config.build]       Build object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @param  {String} config.container     Container for the build to run in
+     * @param  {String} config.token         JWT to act on behalf of the build
+     * @param  {Object} [options]
+     * @param  {String} [options.operation] Operation the build is routed for, rules only refuse builds to start
+     * @param  {Boolean} [options.dryRun]   Whether the build is only explained, rules do not emit events then
+     * @param  {Array}  [options.skipped]   Optional list to collect the rules that did not select an executor
+     * @return {Object} object with executor name and rule name
+     */
+    selectExecutor(config, { operation, dryRun, skipped = [] } = {}) {
+        for (const rule of this._executorRules) {
+            try {
+                const executorName = rule.check(config, this, { operation, dryRun });
+
+                if (executorName && this.isRegistered(executorName)) {
+                    return { name: executorName, rule: rule.name };
+                }
+
+                skipped.push({
+                    rule: rule.name,
+                    reason: executorName ? `Executor ${executorName} is not registered` : 'No executor selected'
+                });
+            } catch (err) {
+                if (err instanceof RoutingError) {
+                    err.rule = rule.name;
+
+                    throw err;
+                }
+
+                logger.error(`Failed to validate executor rule ${rule.name}`, err);
+                skipped.push({ rule: rule.name, reason: `Failed to validate: ${err.message}` });
+            }
+        }
+
+        return {};
+    }
+
+    /**
+     * Explains which executor a build would be routed to without starting it
+     * @method explain
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @param  {String} config.container     Container for the build to run in
+     * @return {Object} object with the executor name, the rule that selected it, the rules that were skipped,
+     *                  the candidates allowed for the container with their weightage
+     *                  and the error when the build would be refused
+     */
+    explain(config) {
+        const skipped = [];
+        let selection;
+        let candidates = [];
+
+        try {
+            selection = this.selectExecutor(config, { operation: 'start', dryRun: true, skipped });
+        } catch (err) {
+            selection = { rule: err.rule, error: err.message };
+        }
+
+        try {
+            candidates = this.checkExclusions(this._executors, config.container).map(executor => ({
+                name: executor.name,
+                weightage: this.getWeightage(executor),
+                available: this.isExecutorAvailable(executor.name),
+                allowed: this.isAllowed(executor.name, config)
+            }));
+        } catch (err) {
+            logger.error('Failed to check exclusions for explain', err);
+        }
+
+        const result = { executor: selection.name, rule: selection.rule, candidates, skipped };
+
+        if (selection.error) {
+            result.error = selection.error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns the executors to try in order when starting a build without failover: the selected executor
+     * and its fallbacks, or the rest of the chain of an annotated executor that the selected one substitutes for
+     * @method _getFallbackChain
+     * @param  {Object} config         Configuration
+     * @param  {Object} selection      Selected executor name and rule
+     * @return {Array}                 Executor names
+     */
+    _getFallbackChain(config, { name, rule }) {
+        if (rule === 'annotated') {
+            const annotations = this.parseAnnotations(config.annotations || {});
+            const requested = this.resolveAlias(annotations[ANNOTATION_EXECUTOR_TYPE], { quiet: true });
+            const chain = requested === name ? [] : this.getFallbacks(requested, config);
+
+            if (chain.includes(name)) {
+                return chain.slice(chain.indexOf(name));
+            }
+        }
+
+        return [name, ...this.getFallbacks(name, config)];
+    }
+
+    /**
+     * Returns the executors to try in order when starting a build with failover: the selected executor,
+     * its fallbacks, the weighted executors allowed for the container and the build, and the default executor
+     * @method getFailoverExecutors
+     * @param  {Object} config        Configuration
+     * @param  {String} config.container Container for the build to run in
+     * @param  {String} executorName  Name of the selected executor
+     * @return {Array}                Executor names
+     */
+    getFailoverExecutors(config, executorName) {
+        let fallbacks = [];
+        let weighted = [];
+
+        try {
+            fallbacks = this.getFallbacks(executorName, config);
+            weighted = this.checkExclusions(this._executors, config.container)
+                .filter(
+                    executor =>
+                        !executor.canary &&
+                        this.getWeightage(executor) > 0 &&
+                        this.isExecutorAvailable(executor.name) &&
+                        this.isEligible(executor.name, config, 'start')
+                )
+                .map(executor => executor.name);
+        } catch (err) {
+            logger.error('Failed to check exclusions for failover executors', err);
+        }
+
+        let defaultName;
+
+        try {
+            defaultName = this._executorRules
+                .find(a => a.name === 'default')
+                .check(config, this, {
+                    operation: 'start'
+                });
+        } catch (err) {
+            logger.warn(`No default executor to fail over to for build ${config.buildId}: ${err.message}`);
+        }
+
+        return [executorName, ...fallbacks, ...weighted, defaultName].filter(
+            (name, index, names) => name && this.isRegistered(name) && names.indexOf(name) === index
+        );
+    }
+
+    /**
+     * Evaluates the executor rules by priority and returns the first matching executor
+     * @method getExecutor
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.apiUri        Screwdriver's API
+     * @param  {Object} [config.build]       Build object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @param  {String} config.container     Container for the build to run in
+     * @param  {String} config.token         JWT to act on behalf of the build
+     * @return {Object} executor object
+     */
+    getExecutor(config) {
+        return this.getPlugin(this.selectExecutor(config).name);
+    }
+
+    /**
+     * Returns the name of the executor a build was started on, or evaluates the executor rules
+     * when the build is unknown to the build store
+     * @method selectBuildExecutor
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @return {Promise}                     Resolves to an object with executor name and rule name
+     */
+    async selectBuildExecutor(config) {
+        const executorName = await this._lookUpBuild(config.buildId);
+
+        if (executorName) {
+            return { name: executorName, rule: 'sticky' };
+        }
+
+        return this.selectExecutor(config);
+    }
+
+    /**
+     * Returns the recorded executor of a build or job that can still be reached, failures are logged and ignored
+     * @method _lookUpBuild
+     * @param  {String} key Unique ID for a build, or key of a job
+     * @return {Promise}    Resolves to the executor name, undefined when it is unknown
+     */
+    async _lookUpBuild(key) {
+        if (key === undefined) {
+            return undefined;
+        }
+
+        try {
+            const executorName = await this._buildStore.get(key);
+
+            if (executorName && this.getPlugin(executorName)) {
+                return executorName;
+            }
+        } catch (err) {
+            logger.error(`Failed to look up executor for build ${key}`, err);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Lets the build store forget the executor of a stopped build once later stops can no longer come,
+     * or right away when the store cannot expire builds. Failures are logged and ignored.
+     * @method _expireBuild
+     * @param  {String} buildId Unique ID for a build
+     * @return {Promise}
+     */
+    async _expireBuild(buildId) {
+        if (typeof this._buildStore.expire !== 'function') {
+            return this._removeBuild(buildId);
+        }
+
+        try {
+            return await this._buildStore.expire(buildId);
+        } catch (err) {
+            logger.error(`Failed to expire executor mapping for build ${buildId}`, err);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Forgets the executor of a build or job, failures are logged and ignored
+     * @method _removeBuild
+     * @param  {String} key Unique ID for a build, or key of a job
+     * @return {Promise}
+     */
+    async _removeBuild(key) {
+        try {
+            await this._buildStore.remove(key);
+        } catch (err) {
+            logger.error(`Failed to remove executor mapping for build ${key}`, err);
+        }
+    }
+
+    /**
+     * Returns the executor a build was started on, or evaluates the executor rules
+     * when the build is unknown to the build store
+     * @method getBuildExecutor
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @return {Promise}                     Resolves to the executor object
+     */
+    async getBuildExecutor(config) {
+        const { name } = await this.selectBuildExecutor(config);
+
+        return this.getPlugin(name);
+    }
+
+    /**
+     * Returns the executor a build was started on for an operation, emitting the route event
+     * @method _routeBuild
+     * @param  {String} operation      Operation the build is routed for
+     * @param  {Object} config         Configuration
+     * @param  {String} config.buildId Unique ID for a build
+     * @return {Promise}               Resolves to the executor object
+     */
+    async _routeBuild(operation, config) {
+        const startTime = Date.now();
+        const selection = await this.selectBuildExecutor(config);
+
+        this._routed(operation, selection, config, startTime);
+
+        return this.getPlugin(selection.name);
+    }
+
+    /**
+     * Returns the routing and start/stop/verify counters of every executor
+     * @method getMetrics
+     * @return {Object} Hash of executor name to counters
+     */
+    getMetrics() {
+        return JSON.parse(JSON.stringify(this._metrics));
+    }
+
+    /**
+     * Emits a routing event, listener failures are logged and ignored
+     * @method _emit
+     * @param  {String} event   Event name
+     * @param  {Object} payload Event payload
+     */
+    _emit(event, payload) {
+        try {
+            this.events.emit(event, payload);
+        } catch (err) {
+            logger.error(`Failed to emit ${event} event`, err);
+        }
+    }
+
+    /**
+     * Counts and emits a routing decision
+     * @method _routed
+     * @param  {String} operation        start, stop or verify
+     * @param  {Object} selection        Executor name and rule name
+     * @param  {Object} config           Configuration
+     * @param  {Number} startTime        Time the routing started in milliseconds
+     */
+    _routed(operation, { name, rule }, config, startTime) {
+        if (this._metrics[name]) {
+            this._metrics[name].routed += 1;
+        }
+
+        this._emit('route', {
+            operation,
+            executor: name,
+            rule,
+            buildId: config.buildId,
+            latency: Date.now() - startTime
+        });
+    }
+
+    /**
+     * Runs start, stop or verify on an executor, counting and emitting the outcome
+     * @method _execute
+     * @param  {String}  operation   start, stop or verify
+     * @param  {Object}  selection   Executor name and rule name
+     * @param  {Object}  config      Configuration
+     * @return {Promise}
+     */
+    async _execute(operation, { name, rule }, config) {
+        const startTime = Date.now();
+        const counters = this._metrics[name] && this._metrics[name][operation];
+        const payload = { executor: name, rule, buildId: config.buildId };
+
+        try {
+            const result = await this.getPlugin(name)[operation](config);
+
+            if (counters) {
+                counters.success += 1;
+            }
+            this._emit(operation, { ...payload, latency: Date.now() - startTime, success: true });
+
+            return result;
+        } catch (err) {
+            if (counters) {
+                counters.failure += 1;
+            }
+            this._emit(operation, { ...payload, latency: Date.now() - startTime, success: false, error: err });
+
+            throw err;
+        }
+    }
+
+    /**
+     * Records the executor a build was started on, failures are logged and ignored
+     * @method _recordBuild
+     * @param  {String}  buildId      Unique ID for a build
+     * @param  {String}  executorName Executor name
+     * @return {Promise}
+     */
+    async _recordBuild(buildId, executorName) {
+        try {
+            await this._buildStore.set(buildId, executorName);
+        } catch (err) {
+            logger.error(`Failed to record executor ${executorName} for build ${buildId}`, err);
+        }
+    }
+
+    /**
+     * Starts a new build in an executor
+     * @method _start
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.apiUri        Screwdriver's API
+     * @param  {Object} [config.build]       Build object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @param  {String} config.container     Container for the build to run in
+     * @param  {String} config.token         JWT to act on behalf of the build
+     * @return {Promise}
+     */
+    async _start(config) {
+        const startTime = Date.now();
+        let selection;
+
+        try {
+            selection = this.selectExecutor(config, { operation: 'start' });
+        } catch (err) {
+            logger.warn(`Refused to start build ${config.buildId}: ${err.message}`);
+            this._emit('rejected', { operation: 'start', rule: err.rule, buildId: config.buildId, error: err });
+
+            throw err;
+        }
+
+        const { name, rule } = selection;
+        // annotated builds only fall back to the fallbacks of the executor the user asked for
+        const candidates =
+            this._failover && rule !== 'annotated'
+                ? this.getFailoverExecutors(config, name)
+                : this._getFallbackChain(config, selection);
+        const failures = [];
+        let lastError;
+
+        this._routed('start', selection, config, startTime);
+
+        for (const executorName of candidates) {
+            // concurrent starts may have taken the last slots of a failover executor meanwhile
+            if (executorName === name || this.isExecutorAvailable(executorName)) {
+                const circuit = this._circuits[executorName];
+
+                // attempts on an open circuit, e.g. of annotated builds, are neither trials nor count as failures
+                const recorded = circuit && circuit.onAttempt(this._clock());
+
+                // reserve the slot before awaiting the plugin so that concurrent starts see it
+                this._metrics[executorName].inFlight += 1;
+
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    const result = await this._execute(
+                        'start',
+                        { name: executorName, rule: executorName === name ? rule : 'failover' },
+                        config
+                    );
+
+                    if (recorded) {
+                        circuit.onSuccess();
+                    }
+                    this._recordCanaryStart(executorName, true);
+
+                    if (failures.length > 0) {
+                        logger.info(
+                            `Started build ${config.buildId} on ${executorName} after failing on ${failures.join(', ')}`
+                        );
+                    }
+                    this._running.set(String(config.buildId), executorName);
+                    // eslint-disable-next-line no-await-in-loop
+                    await this._recordBuild(config.buildId, executorName);
+
+                    return result;
+                } catch (err) {
+                    lastError = err;
+                    failures.push(`${executorName} (${err.message})`);
+                    this._metrics[executorName].inFlight -= 1;
+
+                    if (recorded) {
+                        circuit.onFailure(this._clock());
+                    }
+                    this._recordCanaryStart(executorName, false);
+
+                    if (candidates.length > 1) {
+                        logger.warn(
+                            `Failed to start build ${config.buildId} on executor ${executorName}: ${err.message}`
+                        );
+                    }
+                }
+            }
+        }
+
+        if (candidates.length > 1) {
+            logger.error(`Failed to start build ${config.buildId} on executors ${failures.join(', ')}`);
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Stop a running or finished build
+     * @method _stop
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @return {Promise}
+     */
+    async _stop(config) {
+        const startTime = Date.now();
+        const selection = await this.selectBuildExecutor(config);
+
+        this._routed('stop', selection, config, startTime);
+
+        let result;
+
+        try {
+            result = await this._execute('stop', selection, config);
+        } finally {
+            this._release(config.buildId);
+        }
+
+        await this._expireBuild(config.buildId);
+
+        return result;
+    }
+
+    /**
+     * Frees the in-flight slot a build took on the executor it was started on, once
+     * @method _release
+     * @param  {String} buildId Unique ID for a build
+     */
+    _release(buildId) {
+        const executorName = this._running.get(String(buildId));
+
+        this._running.delete(String(buildId));
+
+        if (this._metrics[executorName]) {
+            this._metrics[executorName].inFlight -= 1;
+        }
+    }
+
+    /**
+     * Verifies the status of a build in an executor
+     * @method _verify
+     * @param  {Object} config               Configuration
+     * @param  {Object} [config.annotations] Optional key/value object
+     * @param  {String} config.apiUri        Screwdriver's API
+     * @param  {Object} [config.build]       Build object
+     * @param  {String} config.buildId       Unique ID for a build
+     * @param  {String} config.container     Container for the build to run in
+     * @param  {String} config.token         JWT to act on behalf of the build
+     * @return {Promise}
+     */
+    async _verify(config) {
+        const startTime = Date.now();
+        const selection = await this.selectBuildExecutor(config);
+
+        this._routed('verify', selection, config, startTime);
+
+        return this._execute('verify', selection, config);
+    }
+
+    /**
+     * Schedules the periodic or frozen builds of a job on the executor the rules select, recording it
+     * so that they are stopped there. A schedule left on another executor by an earlier call is stopped.
+     * @method _startJob
+     * @param  {String} type   Periodic or Frozen
+     * @param  {Object} config Configuration
+     * @return {Promise}
+     */
+    async _startJob(type, config) {
+        const startTime = Date.now();
+        const key = getJobKey(type, config);
+        const selection = this.selectExecutor(getRoutingConfig(config), { operation: `start${type}` });
+        const { name } = selection;
+        const previous = await this._lookUpBuild(key);
+
+        this._routed(`start${type}`, selection, config, startTime);
+
+        if (previous && previous !== name) {
+            try {
+                await this.getPlugin(previous)[`stop${type}`](config);
+            } catch (err) {
+                logger.error(`Failed to stop ${type.toLowerCase()} builds of ${key} on executor ${previous}`, err);
+            }
+        }
+
+        const result = await this.getPlugin(name)[`start${type}`](config);
+
+        if (key !== undefined) {
+            await this._recordBuild(key, name);
+        }
+
+        return result;
+    }
+
+    /**
+     * Stops the periodic or frozen builds of a job on the executor they were scheduled on,
+     * or on the executor the rules select when it is unknown
+     * @method _stopJob
+     * @param  {String} type   Periodic or Frozen
+     * @param  {Object} config Configuration
+     * @return {Promise}
+     */
+    async _stopJob(type, config) {
+        const startTime = Date.now();
+        const key = getJobKey(type, config);
+        const executorName = await this._lookUpBuild(key);
+        const selection = executorName
+            ? { name: executorName, rule: 'sticky' }
+            : this.selectExecutor(getRoutingConfig(config));
+
+        this._routed(`stop${type}`, selection, config, startTime);
+
+        const result = await this.getPlugin(selection.name)[`stop${type}`](config);
+
+        if (key !== undefined) {
+            await this._removeBuild(key);
+        }
+
+        return result;
+    }
+
+    /**
+     * Starts a new periodic build in an executor
+     * @method _startPeriodic
+     * @param  {Object} config       Configuration
+     * @param  {Object} config.job   Job object
+     * @return {Promise}
+     */
+    async _startPeriodic(config) {
+        return this._startJob('Periodic', config);
+    }
+
+    /**
+     * Stops a previously scheduled periodic build in the executor it was started on
+     * @method _stopPeriodic
+     * @param  {Object} config       Configuration
+     * @param  {Object} [config.job] Job object
+     * @return {Promise}
+     */
+    async _stopPeriodic(config) {
+        return this._stopJob('Periodic', config);
+    }
+
+    /**
+     * Starts a new frozen build in an executor
+     * @method _startFrozen
+     * @param  {Object} config         Configuration
+     * @param  {Number} [config.jobId] Unique ID for a job
+     * @return {Promise}
+     */
+    async _startFrozen(config) {
+        return this._startJob('Frozen', config);
+    }
+
+    /**
+     * Stops a previously scheduled frozen build in the executor it was started on
+     * @method _stopFrozen
+     * @param  {Object} config         Configuration
+     * @param  {Number} [config.jobId] Unique ID for a job
+     * @return {Promise}
+     */
+    async _stopFrozen(config) {
+        return this._stopJob('Frozen', config);
+    }
+
+    /**
+     * Gets the status of a build from the executor it was started on
+     * @method _status
+     * @param  {Object} config         Configuration
+     * @param  {String} config.buildId Unique ID for a build
+     * @return {Promise}
+     */
+    async _status(config) {
+        const executor = await this._routeBuild('status', config);
+
+        return executor.status(config);
+    }
+
+    /**
+     * Adds a build to the timeout queue of the executor it was started on
+     * @method _startTimer
+     * @param  {Object} config         Configuration
+     * @param  {String} config.buildId Unique ID for a build
+     * @return {Promise}
+     */
+    async _startTimer(config) {
+        const executor = await this._routeBuild('startTimer', config);
+
+        return executor.startTimer(config);
+    }
+
+    /**
+     * Removes a build from the timeout queue of the executor it was started on
+     * @method _stopTimer
+     * @param  {Object} config         Configuration
+     * @param  {String} config.buildId Unique ID for a build
+     * @return {Promise}
+     */
+    async _stopTimer(config) {
+        const executor = await this._routeBuild('stopTimer', config);
+
+        return executor.stopTimer(config);
+    }
+
+    /**
+     * Unzips the artifacts of a build in the executor it was started on
+     * @method _unzipArtifacts
+     * @param  {Object} config         Configuration
+     * @param  {String} config.buildId Unique ID for a build
+     * @return {Promise}
+     */
+    async _unzipArtifacts(config) {
+        const executor = await this._routeBuild('unzipArtifacts', config);
+
+        return executor.unzipArtifacts(config);
+    }
+
+    /**
+     * Enqueues a webhook in the executor the rules select
+     * @method _enqueueWebhook
+     * @param  {Object} config Webhook configuration
+     * @return {Promise}
+     */
+    async _enqueueWebhook(config) {
+        const startTime = Date.now();
+        const selection = this.selectExecutor(config);
+
+        this._routed('enqueueWebhook', selection, config, startTime);
+
+        return this.getPlugin(selection.name).enqueueWebhook(config);
+    }
+
+    /**
+     * Cleans up processing tasks of every executor
+     * @method _cleanUp
+     * @return {Promise}
+     */
+    async _cleanUp() {
+        await Promise.all(this._executors.map(executor => this[executor.name].cleanUp()));
+    }
+
+    /**
+     * Probes a plugin without healthCheck through the request breaker of its stats,
+     * e.g. { breaker: { isClosed: true } } of the Kubernetes and Docker executors
+     * @method _probeStats
+     * @param  {String} name   Executor name
+     * @param  {Object} report Health report of the executor
+     * @return {Object}        Health report with reachable true, false or null when the stats have no breaker
+     */
+    _probeStats(name, report) {
+        try {
+            const { breaker } = this[name].stats() || {};
+
+            if (breaker && typeof breaker.isClosed === 'boolean') {
+                report.reachable = breaker.isClosed;
+
+                if (!breaker.isClosed) {
+                    report.error = 'Request breaker of the plugin is open';
+                }
+            }
+        } catch (err) {
+            logger.warn(`Stats of executor ${name} failed: ${err.message}`);
+            report.reachable = false;
+            report.error = err.message;
+        }
+
+        return report;
+    }
+
+    /**
+     * Checks every executor and reports whether its plugin is reachable, its circuit state and whether
+     * it is draining, along with the executors that failed to load. Plugins implementing healthCheck
+     * are called with a timeout, the others are probed through the request breaker their stats report.
+     * Reachability that cannot be probed is unknown (null), and so is the overall health then.
+     * @method healthCheck
+     * @param  {Object}  [options]
+     * @param  {Number}  [options.timeout=5000] Time in milliseconds to wait for each plugin
+     * @return {Promise}                        Resolves to an object with healthy, executors and loadFailures
+     */
+    async healthCheck({ timeout = HEALTH_CHECK_TIMEOUT } = {}) {
+        const reports = await Promise.all(
+            this._executors.map(async ({ name }) => {
+                const circuit = this._circuits[name];
+                const report = {
+                    reachable: null,
+                    circuit: circuit ? circuit.state : 'closed',
+                    draining: this.isDraining(name),
+                    available: this.isExecutorAvailable(name)
+                };
+                const plugin = this[name];
+
+                if (typeof plugin.healthCheck !== 'function') {
+                    return [name, this._probeStats(name, report)];
+                }
+
+                let timer;
+
+                try {
+                    await Promise.race([
+                        plugin.healthCheck(),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+                        })
+                    ]);
+                    report.reachable = true;
+                } catch (err) {
+                    logger.warn(`Health check of executor ${name} failed: ${err.message}`);
+                    report.reachable = false;
+                    report.error = err.message;
+                } finally {
+                    clearTimeout(timer);
+                }
+
+                return [name, report];
+            })
+        );
+        const executors = reports.reduce((result, [name, report]) => {
+            result[name] = report;
+
+            return result;
+        }, {});
+        const loadFailures = this._loadFailures.map(failure => ({ ...failure }));
+
+        let healthy = reports.some(([, report]) => report.reachable === null) ? null : true;
+
+        if (loadFailures.length > 0 || reports.some(([, report]) => report.reachable === false)) {
+            healthy = false;
+        }
+
+        return {
+            healthy,
+            executors,
+            loadFailures
+        };
+    }
+
+    /**
+     * Returns statistics of every executor
+     * @method stats
+     * @return {Object} Hash of executor name to the executor statistics
      */
-    _verify(config) {
-        const executor = this.getExecutor(config);
+    stats() {
+        return this._executors.reduce((stats, executor) => {
+            stats[executor.name] = this[executor.name].stats();
 
-        return executor.verify(config);
+            return stats;
+        }, {});
     }
 }
 
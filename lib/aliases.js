@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Normalizes an alias given as a name or as an object
+ * @method normalizeAlias
+ * @param  {String|Object} alias                Alias name or object with name, executor, deprecated and retireAt
+ * @param  {String}        [executorName]       Executor the alias belongs to, for aliases of an executor entry
+ * @return {Object}                             Alias with name, executor, deprecated and retireAt in milliseconds
+ */
+function normalizeAlias(alias, executorName) {
+    const { name, executor, deprecated, retireAt } = typeof alias === 'string' ? { name: alias } : alias;
+
+    return {
+        name,
+        executor: executorName || executor,
+        deprecated: !!(deprecated || retireAt),
+        retireAt: retireAt ? new Date(retireAt).getTime() : undefined
+    };
+}
+
+/**
+ * Collects the aliases of the global alias map and of the executor entries
+ * @method collectAliases
+ * @param  {Object} [globalAliases] Map of alias to an executor name or to an object with executor, deprecated and retireAt
+ * @param  {Array}  [executors]     Executor entries with optional aliases
+ * @return {Array}                  Normalized aliases
+ */
+function collectAliases(globalAliases = {}, executors = []) {
+    const aliases = Object.keys(globalAliases).map(name => {
+        const target = globalAliases[name];
+
+        return normalizeAlias(typeof target === 'string' ? { name, executor: target } : { ...target, name });
+    });
+
+    executors.forEach(executor => {
+        (executor.aliases || []).forEach(alias => aliases.push(normalizeAlias(alias, executor.name)));
+    });
+
+    return aliases;
+}
+
+module.exports = {
+    collectAliases,
+    normalizeAlias
+};
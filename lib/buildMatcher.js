@@ -0,0 +1,168 @@
+'use strict';
+
+const { matchesAnyPattern } = require('./patterns');
+
+const BETA_PREFIX = /^beta\./;
+
+/**
+ * Returns the annotations of a build keyed without the beta. prefix
+ * @method normalizeAnnotations
+ * @param  {Object} [annotations] Key/value object
+ * @return {Object}
+ */
+function normalizeAnnotations(annotations = {}) {
+    return Object.keys(annotations).reduce((normalized, key) => {
+        normalized[key.replace(BETA_PREFIX, '')] = annotations[key];
+
+        return normalized;
+    }, {});
+}
+
+/**
+ * Returns the pipeline ID of a build
+ * @method getPipelineId
+ * @param  {Object} config Build configuration
+ * @return {Number}
+ */
+function getPipelineId(config) {
+    const pipelineId = config.pipelineId || (config.pipeline && config.pipeline.id);
+
+    return pipelineId === undefined ? undefined : Number(pipelineId);
+}
+
+/**
+ * Returns the payload of the build's JWT without verifying it, the API verified the token already
+ * @method getTokenPayload
+ * @param  {String} [token] JWT to act on behalf of the build
+ * @return {Object}         Token claims, empty when the token cannot be decoded
+ */
+function getTokenPayload(token) {
+    try {
+        return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+/**
+ * Checks if a pipeline ID is in a list of IDs and "min-max" ranges
+ * @method matchesPipelineIds
+ * @param  {Array}   pipelineIds List of IDs and ranges
+ * @param  {Number}  pipelineId  Pipeline ID of the build
+ * @return {Boolean}
+ */
+function matchesPipelineIds(pipelineIds, pipelineId) {
+    if (pipelineId === undefined || Number.isNaN(pipelineId)) {
+        return false;
+    }
+
+    return pipelineIds.some(item => {
+        const range = String(item).split('-');
+
+        if (range.length === 2) {
+            return pipelineId >= Number(range[0]) && pipelineId <= Number(range[1]);
+        }
+
+        return pipelineId === Number(item);
+    });
+}
+
+/**
+ * Checks if the build annotations have the expected values
+ * @method matchesAnnotations
+ * @param  {Object}  expected    Annotation name to a value or a list of accepted values
+ * @param  {Object}  annotations Build annotations
+ * @return {Boolean}
+ */
+function matchesAnnotations(expected, annotations) {
+    const actual = normalizeAnnotations(annotations);
+
+    return Object.keys(expected).every(key => {
+        const value = actual[key.replace(BETA_PREFIX, '')];
+        const accepted = [].concat(expected[key]).map(String);
+
+        return value !== undefined && accepted.includes(String(value));
+    });
+}
+
+/**
+ * Checks if a build matches all the criteria of a match rule
+ * @method matchesBuild
+ * @param  {Object}  match                 Match rule
+ * @param  {Array}   [match.pipelineIds]   Pipeline IDs and "min-max" ranges
+ * @param  {Array}   [match.repositories]  Regular expressions for the SCM repository (org/repo)
+ * @param  {Array}   [match.jobNames]      Regular expressions for the job name
+ * @param  {Object}  [match.annotations]   Annotation name to a value or a list of accepted values
+ * @param  {Object}  config                Build configuration
+ * @return {Boolean}
+ */
+function matchesBuild(match, config) {
+    const checks = [];
+
+    if (match.pipelineIds) {
+        checks.push(() => matchesPipelineIds(match.pipelineIds, getPipelineId(config)));
+    }
+
+    if (match.repositories) {
+        checks.push(() => matchesAnyPattern(match.repositories, config.pipeline && config.pipeline.name));
+    }
+
+    if (match.jobNames) {
+        checks.push(() => matchesAnyPattern(match.jobNames, config.jobName));
+    }
+
+    if (match.annotations) {
+        checks.push(() => matchesAnnotations(match.annotations, config.annotations));
+    }
+
+    return checks.length > 0 && checks.every(check => check());
+}
+
+/**
+ * Checks if a build may use an executor with an allow-list.
+ * The build has to belong to one of the listed pipelines or repositories, when given,
+ * and its token has to grant every listed scope, when given.
+ * @method isAllowedBuild
+ * @param  {Object}  allow                 Allow-list
+ * @param  {Array}   [allow.pipelineIds]   Pipeline IDs and "min-max" ranges
+ * @param  {Array}   [allow.repositories]  Regular expressions for the SCM repository (org/repo)
+ * @param  {Array}   [allow.scopes]        Scopes the build token has to grant
+ * @param  {Object}  config                Build configuration
+ * @return {Boolean}
+ */
+function isAllowedBuild(allow, config) {
+    const payload = getTokenPayload(config.token);
+    const owners = [];
+
+    if (allow.pipelineIds) {
+        const pipelineId = getPipelineId(config);
+
+        owners.push(() =>
+            matchesPipelineIds(
+                allow.pipelineIds,
+                pipelineId === undefined && payload.pipelineId !== undefined ? Number(payload.pipelineId) : pipelineId
+            )
+        );
+    }
+
+    if (allow.repositories) {
+        owners.push(() => matchesAnyPattern(allow.repositories, config.pipeline && config.pipeline.name));
+    }
+
+    if (owners.length > 0 && !owners.some(check => check())) {
+        return false;
+    }
+
+    const scopes = [].concat(payload.scope || []);
+
+    return !allow.scopes || allow.scopes.every(scope => scopes.includes(scope));
+}
+
+module.exports = {
+    getPipelineId,
+    getTokenPayload,
+    isAllowedBuild,
+    matchesBuild,
+    matchesPipelineIds,
+    normalizeAnnotations
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+/**
+ * Tracks consecutive start failures of an executor
+ */
+class CircuitBreaker {
+    /**
+     * Constructs a circuit breaker, closed by default
+     * @method constructor
+     * @param  {Object}  [options]                    Thresholds
+     * @param  {Number}  [options.failureThreshold=5] Consecutive start failures that open the circuit
+     * @param  {Number}  [options.windowMs=60000]     Time window the failures have to happen in
+     * @param  {Number}  [options.coolDownMs=300000]  Time the circuit stays open before a trial start
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.windowMs = options.windowMs || 60000;
+        this.coolDownMs = options.coolDownMs || 300000;
+        this.state = CLOSED;
+        this.failures = 0;
+        this.firstFailureAt = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a build can be routed to the executor
+     * @method isAvailable
+     * @param  {Number}  now Current time in milliseconds
+     * @return {Boolean}
+     */
+    isAvailable(now) {
+        if (this.state === CLOSED) {
+            return true;
+        }
+
+        if (this.state === OPEN) {
+            return now - this.openedAt >= this.coolDownMs;
+        }
+
+        return !this.trialInFlight;
+    }
+
+    /**
+     * Marks a start attempt, the first attempt after the cool-down is the half-open trial.
+     * Other attempts while the circuit is not closed, e.g. of builds annotated with the executor,
+     * must not change its state.
+     * @method onAttempt
+     * @param  {Number}  now Current time in milliseconds
+     * @return {Boolean}     Whether the outcome of the attempt is to be recorded
+     */
+    onAttempt(now) {
+        if (this.state === CLOSED) {
+            return true;
+        }
+
+        if (this.state === OPEN && now - this.openedAt >= this.coolDownMs) {
+            this.state = HALF_OPEN;
+        }
+
+        if (this.state === HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Records a successful start and closes the circuit
+     * @method onSuccess
+     */
+    onSuccess() {
+        this.state = CLOSED;
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Records a failed start, opens the circuit once the threshold is reached in the window
+     * @method onFailure
+     * @param  {Number} now Current time in milliseconds
+     */
+    onFailure(now) {
+        this.trialInFlight = false;
+
+        if (this.state !== CLOSED) {
+            this.state = OPEN;
+            this.openedAt = now;
+
+            return;
+        }
+
+        if (this.failures === 0 || now - this.firstFailureAt > this.windowMs) {
+            this.failures = 0;
+            this.firstFailureAt = now;
+        }
+
+        this.failures += 1;
+
+        if (this.failures >= this.failureThreshold) {
+            this.state = OPEN;
+            this.openedAt = now;
+        }
+    }
+}
+
+module.exports = CircuitBreaker;
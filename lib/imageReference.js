@@ -0,0 +1,71 @@
+'use strict';
+
+const { matchesAnyPattern } = require('./patterns');
+
+const DEFAULT_REGISTRY = 'docker.io';
+const DEFAULT_REGISTRY_ALIASES = ['index.docker.io', 'registry-1.docker.io'];
+const DEFAULT_TAG = 'latest';
+const IMAGE_FIELDS = ['registry', 'repository', 'tag', 'digest'];
+
+/**
+ * Parses a container image reference into its parts, normalized the way docker does:
+ * node:18 is docker.io/library/node:18
+ * @method parseImageReference
+ * @param  {String} container Container image reference
+ * @return {Object}           Object with registry, repository, tag and digest
+ */
+function parseImageReference(container) {
+    const [name, digest] = container.split('@');
+    const slash = name.lastIndexOf('/');
+    const colon = name.lastIndexOf(':');
+    const hasTag = colon > slash;
+    const path = hasTag ? name.slice(0, colon) : name;
+    const components = path.split('/');
+    let registry = DEFAULT_REGISTRY;
+
+    // the first component is a registry when it looks like a host
+    if (components.length > 1 && (/[.:]/.test(components[0]) || components[0] === 'localhost')) {
+        registry = components.shift();
+    }
+
+    if (DEFAULT_REGISTRY_ALIASES.includes(registry)) {
+        registry = DEFAULT_REGISTRY;
+    }
+
+    if (registry === DEFAULT_REGISTRY && components.length === 1) {
+        components.unshift('library');
+    }
+
+    let tag = hasTag ? name.slice(colon + 1) : undefined;
+
+    if (!tag && !digest) {
+        tag = DEFAULT_TAG;
+    }
+
+    return { registry, repository: components.join('/'), tag, digest };
+}
+
+/**
+ * Checks if a container matches a pattern, or every field of an image rule
+ * @method matchesContainer
+ * @param  {String|Object} rule       Pattern for the container, or object with patterns for
+ *                                    registry, repository, tag and digest
+ * @param  {String}        container  Container image reference
+ * @param  {Object}        image      Parsed container image reference
+ * @return {Boolean}
+ */
+function matchesContainer(rule, container, image) {
+    if (typeof rule === 'string') {
+        return matchesAnyPattern([rule], container);
+    }
+
+    return IMAGE_FIELDS.filter(field => rule[field] !== undefined).every(field =>
+        matchesAnyPattern([rule[field]], image[field])
+    );
+}
+
+module.exports = {
+    IMAGE_FIELDS,
+    matchesContainer,
+    parseImageReference
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default build store, keeps the buildId to executor name mapping in memory
+ */
+class MemoryBuildStore {
+    /**
+     * Constructs an empty build store
+     * @method constructor
+     * @param  {Object}   [options]                Options
+     * @param  {Number}   [options.ttlMs=86400000] Time a stopped build is remembered for
+     * @param  {Function} [options.clock]          Function returning the current time in milliseconds
+     */
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.clock = options.clock || (() => Date.now());
+        this.builds = new Map();
+        // expiry times of the stopped builds, in the order they expire in
+        this.expiring = new Map();
+    }
+
+    /**
+     * Get the executor name a build was started on
+     * @method get
+     * @param  {String} buildId Unique ID for a build
+     * @return {String}         Executor name
+     */
+    get(buildId) {
+        this.sweep();
+
+        return this.builds.get(String(buildId));
+    }
+
+    /**
+     * Record the executor name a build was started on
+     * @method set
+     * @param  {String} buildId      Unique ID for a build
+     * @param  {String} executorName Executor name
+     */
+    set(buildId, executorName) {
+        this.sweep();
+        this.expiring.delete(String(buildId));
+        this.builds.set(String(buildId), executorName);
+    }
+
+    /**
+     * Forget a build once the ttl has passed since it was first expired
+     * @method expire
+     * @param  {String} buildId Unique ID for a build
+     */
+    expire(buildId) {
+        if (this.builds.has(String(buildId)) && !this.expiring.has(String(buildId))) {
+            this.expiring.set(String(buildId), this.clock() + this.ttlMs);
+        }
+    }
+
+    /**
+     * Forget a build
+     * @method remove
+     * @param  {String} buildId Unique ID for a build
+     */
+    remove(buildId) {
+        this.builds.delete(String(buildId));
+        this.expiring.delete(String(buildId));
+    }
+
+    /**
+     * Forget the builds whose ttl has passed
+     * @method sweep
+     */
+    sweep() {
+        const now = this.clock();
+
+        for (const [buildId, expiresAt] of this.expiring) {
+            if (expiresAt > now) {
+                break;
+            }
+            this.remove(buildId);
+        }
+    }
+}
+
+module.exports = MemoryBuildStore;
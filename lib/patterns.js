@@ -0,0 +1,285 @@
+'use strict';
+
+const EXACT_PREFIX = 'exact:';
+const GLOB_PREFIX = 'glob:';
+const MAX_VALUE_LENGTH = 1024;
+// bounded quantifiers repeating more than this backtrack like unbounded ones
+const MAX_SMALL_REPEAT = 16;
+const matchers = new Map();
+
+/**
+ * Reads the quantifier at a position of a regular expression
+ * @method readQuantifier
+ * @param  {String} pattern Regular expression
+ * @param  {Number} index   Position after an atom or group
+ * @return {Object}         Length, min and max of the quantifier, max is Infinity when unbounded
+ */
+function readQuantifier(pattern, index) {
+    const char = pattern[index];
+    let quantifier;
+
+    if (char === '*') {
+        quantifier = { length: 1, min: 0, max: Infinity };
+    } else if (char === '+') {
+        quantifier = { length: 1, min: 1, max: Infinity };
+    } else if (char === '?') {
+        quantifier = { length: 1, min: 0, max: 1 };
+    } else {
+        const range = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+
+        if (!range) {
+            return { length: 0, min: 1, max: 1 };
+        }
+
+        const min = Number(range[1]);
+        let max = min;
+
+        if (range[2]) {
+            max = range[3] ? Number(range[3]) : Infinity;
+        }
+
+        quantifier = { length: range[0].length, min, max };
+    }
+
+    // lazy quantifiers backtrack the same way
+    if (pattern[index + quantifier.length] === '?') {
+        quantifier.length += 1;
+    }
+
+    return quantifier;
+}
+
+// characters of image references, to check if two atoms can match the same character
+const PRINTABLE = Array.from({ length: 95 }, (_, index) => String.fromCharCode(index + 32));
+
+/**
+ * Checks if two atoms of a regular expression can match the same character.
+ * Groups, given as null, can match anything.
+ * @method canOverlap
+ * @param  {String}  first  Atom, e.g. a, \d or [a-z]
+ * @param  {String}  second Atom
+ * @return {Boolean}
+ */
+function canOverlap(first, second) {
+    if (first === null || second === null) {
+        return true;
+    }
+
+    try {
+        const [a, b] = [first, second].map(atom => new RegExp(`^(?:${atom})$`, 'i'));
+
+        return PRINTABLE.some(char => a.test(char) && b.test(char));
+    } catch (err) {
+        return true;
+    }
+}
+
+/**
+ * Checks if a regular expression has constructs that can backtrack catastrophically: backreferences,
+ * repeated groups that contain a quantifier or an alternation, e.g. (a+)+ or (\w|\d)+, and unbounded
+ * quantifiers of atoms matching the same characters with nothing required between them, e.g. \d*\d*
+ * or \d+\.?\d*. Harmless patterns like (ab)*b* are refused as well, prefer a glob for them.
+ * Each unbounded quantifier left multiplies the matching time by the length of the value, e.g. .*a.*b,
+ * so only one is allowed, or two when the pattern starts with ^ outside of an alternation.
+ * @method isUnsafeRegex
+ * @param  {String}  pattern Regular expression
+ * @return {Boolean}
+ */
+function isUnsafeRegex(pattern) {
+    if (/\\[1-9]|\\k</.test(pattern)) {
+        return true;
+    }
+
+    // open groups, the outermost being the whole pattern
+    const groups = [{ repeats: false, alternates: false, pendingAtOpen: [], pendingBranches: [] }];
+    // atoms under an unbounded quantifier that may be followed by the next item with nothing required in between
+    let pending = [];
+    let unbounded = 0;
+    let i = 0;
+
+    while (i < pattern.length) {
+        const char = pattern[i];
+
+        if (char === '(') {
+            groups.push({ repeats: false, alternates: false, pendingAtOpen: pending, pendingBranches: [] });
+            // skip the ?:, ?=, ?!, ?<=, ?<! or ?<name> of the group
+            i += pattern[i + 1] === '?' ? /^\(\?(<[=!]|<[^>]*>|[:=!])?/.exec(pattern.slice(i))[0].length : 1;
+        } else if (char === '|') {
+            const group = groups[groups.length - 1];
+
+            group.alternates = true;
+            group.pendingBranches = [...group.pendingBranches, ...pending];
+            pending = group.pendingAtOpen;
+            i += 1;
+        } else if (char === '^' || char === '$' || (char === '\\' && /[bB]/.test(pattern[i + 1]))) {
+            i += char === '\\' ? 2 : 1;
+        } else {
+            const begin = i;
+            let group;
+            let atom = null;
+
+            if (char === ')' && groups.length > 1) {
+                group = groups.pop();
+                pending = [...pending, ...group.pendingBranches];
+                i += 1;
+            } else if (char === '[') {
+                // skip the character class
+                i += 1;
+                while (i < pattern.length && pattern[i] !== ']') {
+                    i += pattern[i] === '\\' ? 2 : 1;
+                }
+                i += 1;
+                atom = pattern.slice(begin, i);
+            } else {
+                i += char === '\\' ? 2 : 1;
+                atom = pattern.slice(begin, i);
+            }
+
+            const quantifier = readQuantifier(pattern, i);
+            const parent = groups[groups.length - 1];
+            const preceding = group && quantifier.min === 0 ? [...pending, ...group.pendingAtOpen] : pending;
+
+            i += quantifier.length;
+
+            if (quantifier.length > 0) {
+                parent.repeats = true;
+            }
+
+            if (quantifier.max > MAX_SMALL_REPEAT) {
+                unbounded += 1;
+            }
+
+            if (group && quantifier.max > 1 && (group.repeats || group.alternates)) {
+                return true;
+            }
+
+            if (group && group.repeats) {
+                parent.repeats = true;
+            }
+
+            if (quantifier.max === Infinity) {
+                const before = group ? group.pendingAtOpen : pending;
+
+                if (before.some(other => canOverlap(other, atom))) {
+                    return true;
+                }
+                pending = quantifier.min === 0 ? [...preceding, atom] : [atom];
+            } else if (quantifier.min === 0) {
+                pending = preceding;
+            } else if (!group) {
+                pending = [];
+            }
+        }
+    }
+
+    return unbounded > (pattern.startsWith('^') && !groups[0].alternates ? 2 : 1);
+}
+
+/**
+ * Matches a value against a glob where * matches any characters and ? one character,
+ * in time bounded by the product of their lengths
+ * @method matchesGlob
+ * @param  {String}  glob  Glob pattern
+ * @param  {String}  value Value to match
+ * @return {Boolean}
+ */
+function matchesGlob(glob, value) {
+    let g = 0;
+    let v = 0;
+    let star = -1;
+    let starValue = 0;
+
+    while (v < value.length) {
+        if (g < glob.length && (glob[g] === '?' || glob[g] === value[v])) {
+            g += 1;
+            v += 1;
+        } else if (g < glob.length && glob[g] === '*') {
+            star = g;
+            starValue = v;
+            g += 1;
+        } else if (star !== -1) {
+            // let the last * take one more character
+            g = star + 1;
+            starValue += 1;
+            v = starValue;
+        } else {
+            return false;
+        }
+    }
+
+    while (glob[g] === '*') {
+        g += 1;
+    }
+
+    return g === glob.length;
+}
+
+/**
+ * Compiles a pattern into a matcher function. Patterns are case-insensitive regular expressions,
+ * globs prefixed with glob: or exact values prefixed with exact:
+ * @method compilePattern
+ * @param  {String}   pattern Pattern
+ * @return {Function}         Function called with a value, returning whether it matches
+ */
+function compilePattern(pattern) {
+    if (pattern.startsWith(EXACT_PREFIX)) {
+        const exact = pattern.slice(EXACT_PREFIX.length);
+
+        return value => value === exact;
+    }
+
+    if (pattern.startsWith(GLOB_PREFIX)) {
+        const glob = pattern.slice(GLOB_PREFIX.length).toLowerCase();
+
+        return value => matchesGlob(glob, value.toLowerCase());
+    }
+
+    if (isUnsafeRegex(pattern)) {
+        throw new Error(
+            `Regular expression ${pattern} has nested quantifiers, quantified alternations, adjacent quantifiers, backreferences or too many unbounded quantifiers`
+        );
+    }
+
+    const regex = new RegExp(pattern, 'i');
+
+    return value => regex.test(value);
+}
+
+/**
+ * Returns the compiled matcher of a pattern, compiling each pattern only once
+ * @method getMatcher
+ * @param  {String}   pattern Pattern
+ * @return {Function}         Function called with a value, returning whether it matches
+ */
+function getMatcher(pattern) {
+    if (!matchers.has(pattern)) {
+        matchers.set(pattern, compilePattern(pattern));
+    }
+
+    return matchers.get(pattern);
+}
+
+/**
+ * Checks if a value matches one of a list of patterns.
+ * Values that are not strings or are too long to match in bounded time match no pattern.
+ * @method matchesAnyPattern
+ * @param  {Array}   patterns List of patterns
+ * @param  {String}  value    Value to match
+ * @return {Boolean}
+ */
+function matchesAnyPattern(patterns, value) {
+    if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+        return false;
+    }
+
+    return patterns.some(pattern => getMatcher(pattern)(value));
+}
+
+module.exports = {
+    MAX_VALUE_LENGTH,
+    compilePattern,
+    getMatcher,
+    isUnsafeRegex,
+    matchesAnyPattern,
+    matchesGlob
+};
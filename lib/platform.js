@@ -0,0 +1,65 @@
+'use strict';
+
+const { normalizeAnnotations } = require('./buildMatcher');
+
+const ANNOTATION_PLATFORM = 'screwdriver.cd/platform';
+const DEFAULT_PLATFORM = 'linux/amd64';
+const ARCHITECTURE_ALIASES = { aarch64: 'arm64', x86_64: 'amd64' };
+const TAG_ARCHITECTURE = /(?:^|[-_.])(arm64|aarch64|amd64|x86_64|s390x|ppc64le)$/i;
+
+/**
+ * Normalizes a platform to os/architecture[/variant], e.g. arm64 and linux/aarch64 are linux/arm64
+ * @method normalizePlatform
+ * @param  {String} platform Platform or architecture
+ * @return {String}          Normalized platform
+ */
+function normalizePlatform(platform) {
+    const parts = String(platform).toLowerCase().split('/');
+
+    if (parts.length === 1) {
+        parts.unshift('linux');
+    }
+
+    parts[1] = ARCHITECTURE_ALIASES[parts[1]] || parts[1];
+
+    return parts.join('/');
+}
+
+/**
+ * Returns the platform a build needs, from the platform annotation or else from the architecture
+ * suffix of the container tag, e.g. node:18-arm64, defaulting to linux/amd64
+ * @method getBuildPlatform
+ * @param  {Object} config               Build configuration
+ * @param  {Object} [config.annotations] Key/value object
+ * @param  {Object} [image]              Parsed container image reference
+ * @return {String}                      Normalized platform
+ */
+function getBuildPlatform(config, image) {
+    const annotated = normalizeAnnotations(config.annotations)[ANNOTATION_PLATFORM];
+
+    if (annotated) {
+        return normalizePlatform(annotated);
+    }
+
+    const match = image && image.tag && image.tag.match(TAG_ARCHITECTURE);
+
+    return match ? normalizePlatform(match[1]) : DEFAULT_PLATFORM;
+}
+
+/**
+ * Returns the normalized platforms an executor supports, linux/amd64 when it declares none
+ * @method getExecutorPlatforms
+ * @param  {Object} executor             Executor config
+ * @param  {Array}  [executor.platforms] Platforms the executor supports
+ * @return {Array}                       Normalized platforms
+ */
+function getExecutorPlatforms(executor) {
+    return (executor.platforms || [DEFAULT_PLATFORM]).map(normalizePlatform);
+}
+
+module.exports = {
+    DEFAULT_PLATFORM,
+    getBuildPlatform,
+    getExecutorPlatforms,
+    normalizePlatform
+};
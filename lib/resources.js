@@ -0,0 +1,97 @@
+'use strict';
+
+// cores and GB of the screwdriver-executor-k8s tiers
+const DEFAULT_TIERS = {
+    cpu: { MICRO: 0.5, LOW: 2, HIGH: 6, TURBO: 12 },
+    ram: { MICRO: 1, LOW: 2, HIGH: 12, TURBO: 16 }
+};
+const ORDERED_TIERS = ['LOW', 'HIGH'];
+const QUANTITIES = ['cpu', 'ram'];
+const LEVELS = ['disk', 'diskSpeed'];
+
+/**
+ * Converts a tier name or a number of cores or GB to a number
+ * @method toQuantity
+ * @param  {String|Number} value Tier name or number
+ * @param  {Object}        tiers Tier name to number
+ * @return {Number}              Quantity, undefined for unknown tiers
+ */
+function toQuantity(value, tiers) {
+    const tier = tiers[String(value).toUpperCase()];
+
+    if (tier !== undefined) {
+        return tier;
+    }
+
+    const number = Number(value);
+
+    return Number.isNaN(number) || number <= 0 ? undefined : number;
+}
+
+/**
+ * Converts a LOW or HIGH tier to its rank
+ * @method toLevel
+ * @param  {String} value Tier name
+ * @return {Number}       Rank, undefined for unknown tiers
+ */
+function toLevel(value) {
+    const index = ORDERED_TIERS.indexOf(String(value).toUpperCase());
+
+    return index === -1 ? undefined : index;
+}
+
+/**
+ * Returns the resources requested by the parsed annotations of a build.
+ * Unknown values are ignored the way the executors fall back to their defaults.
+ * @method getResourceRequest
+ * @param  {Object} annotations               Parsed annotations with cpu, ram, disk and diskSpeed
+ * @param  {Object} [tiers]                   Cores and GB of the cpu and ram tiers
+ * @return {Object}                           Requested cpu and ram quantities and disk and diskSpeed ranks
+ */
+function getResourceRequest(annotations, tiers = DEFAULT_TIERS) {
+    const request = {};
+
+    [...QUANTITIES, ...LEVELS].forEach(resource => {
+        if (annotations[resource] === undefined) {
+            return;
+        }
+
+        const value = QUANTITIES.includes(resource)
+            ? toQuantity(annotations[resource], tiers[resource])
+            : toLevel(annotations[resource]);
+
+        if (value !== undefined) {
+            request[resource] = value;
+        }
+    });
+
+    return request;
+}
+
+/**
+ * Checks if the maximum resources of an executor satisfy a resource request
+ * @method satisfiesRequest
+ * @param  {Object}  maxResources Maximum cpu, ram, disk and diskSpeed, as tiers or cores and GB
+ * @param  {Object}  request      Resource request, see getResourceRequest
+ * @param  {Object}  [tiers]      Cores and GB of the cpu and ram tiers
+ * @return {Boolean}
+ */
+function satisfiesRequest(maxResources, request, tiers = DEFAULT_TIERS) {
+    return Object.keys(request).every(resource => {
+        if (maxResources[resource] === undefined) {
+            return true;
+        }
+
+        const max = QUANTITIES.includes(resource)
+            ? toQuantity(maxResources[resource], tiers[resource])
+            : toLevel(maxResources[resource]);
+
+        return request[resource] <= max;
+    });
+}
+
+module.exports = {
+    DEFAULT_TIERS,
+    getResourceRequest,
+    satisfiesRequest
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Error for builds the router refuses to route
+ */
+class RoutingError extends Error {
+    /**
+     * Constructs a routing error
+     * @method constructor
+     * @param  {String} message Reason the build is refused
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'RoutingError';
+    }
+}
+
+module.exports = RoutingError;
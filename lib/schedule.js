@@ -0,0 +1,56 @@
+'use strict';
+
+const parser = require('cron-parser');
+
+/**
+ * Checks if a time is within a window that opens at every occurrence of a cron expression
+ * @method isInWindow
+ * @param  {Object} window                   Time window
+ * @param  {String} window.cron              Cron expression of the window openings
+ * @param  {Number} window.durationMinutes   Minutes the window stays open
+ * @param  {String} [window.timezone=UTC]    Timezone of the cron expression
+ * @param  {Number} now                      Current time in milliseconds
+ * @return {Boolean}
+ */
+function isInWindow({ cron, durationMinutes, timezone = 'UTC' }, now) {
+    // the last opening at or before now
+    const openedAt = parser
+        .parseExpression(cron, { currentDate: new Date(now + 1), tz: timezone })
+        .prev()
+        .getTime();
+
+    return now - openedAt < durationMinutes * 60000;
+}
+
+/**
+ * Returns the weightage of an executor at a time, from its first open schedule window
+ * or else from its weightage
+ * @method getScheduledWeightage
+ * @param  {Object} executor             Executor config
+ * @param  {Array}  [executor.schedule]  Time windows with a weightage
+ * @param  {Number} now                  Current time in milliseconds
+ * @return {Number}                      Weightage
+ */
+function getScheduledWeightage(executor, now) {
+    const window = (executor.schedule || []).find(item => isInWindow(item, now));
+
+    return window ? window.weightage : executor.weightage;
+}
+
+/**
+ * Checks if an executor is in one of its maintenance windows at a time
+ * @method isInMaintenance
+ * @param  {Object}  executor               Executor config
+ * @param  {Array}   [executor.maintenance] Time windows the executor takes no new builds in
+ * @param  {Number}  now                    Current time in milliseconds
+ * @return {Boolean}
+ */
+function isInMaintenance(executor, now) {
+    return (executor.maintenance || []).some(item => isInWindow(item, now));
+}
+
+module.exports = {
+    getScheduledWeightage,
+    isInMaintenance,
+    isInWindow
+};
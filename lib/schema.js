@@ -0,0 +1,262 @@
+'use strict';
+
+const parser = require('cron-parser');
+const Joi = require('joi');
+const { collectAliases } = require('./aliases');
+const { compilePattern } = require('./patterns');
+
+const pattern = Joi.string().custom((value, helpers) => {
+    try {
+        compilePattern(value);
+    } catch (err) {
+        return helpers.message(`{{#label}} is not a valid regular expression: ${err.message}`);
+    }
+
+    return value;
+});
+const patternList = Joi.array().items(pattern);
+const containerRuleList = Joi.array().items(
+    Joi.alternatives().try(
+        pattern,
+        Joi.object().keys({ registry: pattern, repository: pattern, tag: pattern, digest: pattern }).min(1)
+    )
+);
+const cron = Joi.string().custom((value, helpers) => {
+    try {
+        parser.parseExpression(value);
+    } catch (err) {
+        return helpers.message(`{{#label}} is not a valid cron expression: ${err.message}`);
+    }
+
+    return value;
+});
+
+const pipelineIds = Joi.array().items(
+    Joi.number().integer().min(1),
+    Joi.string().pattern(/^\d+-\d+$/, 'range of pipeline IDs')
+);
+
+const SCHEMA_MATCH = Joi.object().keys({
+    pipelineIds,
+    repositories: patternList,
+    jobNames: patternList,
+    annotations: Joi.object().pattern(
+        Joi.string(),
+        Joi.alternatives().try(
+            Joi.string(),
+            Joi.number(),
+            Joi.boolean(),
+            Joi.array().items(Joi.string(), Joi.number(), Joi.boolean())
+        )
+    )
+});
+
+const SCHEMA_ALLOW = Joi.object().keys({
+    pipelineIds,
+    repositories: patternList,
+    scopes: Joi.array().items(Joi.string())
+});
+
+const SCHEMA_CANARY = Joi.object().keys({
+    baseline: Joi.string().required(),
+    percentage: Joi.number().min(0).max(100),
+    pipelineIds,
+    maxFailureRate: Joi.number().min(0).max(1),
+    minBuilds: Joi.number().integer().min(1)
+});
+
+const SCHEMA_WINDOW = {
+    cron: cron.required(),
+    durationMinutes: Joi.number().integer().min(1).required(),
+    timezone: Joi.string().custom((value, helpers) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions();
+        } catch (err) {
+            return helpers.message(`{{#label}} is not a valid timezone`);
+        }
+
+        return value;
+    })
+};
+
+const quantity = Joi.alternatives().try(
+    Joi.number().greater(0),
+    Joi.string().valid('MICRO', 'LOW', 'HIGH', 'TURBO').insensitive()
+);
+const level = Joi.string().valid('LOW', 'HIGH').insensitive();
+const tiers = Joi.object().keys({
+    MICRO: Joi.number().greater(0),
+    LOW: Joi.number().greater(0),
+    HIGH: Joi.number().greater(0),
+    TURBO: Joi.number().greater(0)
+});
+
+const SCHEMA_RESOURCES = Joi.object().keys({
+    cpu: quantity,
+    ram: quantity,
+    disk: level,
+    diskSpeed: level
+});
+
+const SCHEMA_CIRCUIT_BREAKER = Joi.object().keys({
+    failureThreshold: Joi.number().integer().min(1),
+    windowMs: Joi.number().integer().min(1),
+    coolDownMs: Joi.number().integer().min(0)
+});
+
+const SCHEMA_ALIAS = {
+    deprecated: Joi.boolean(),
+    retireAt: Joi.date().iso()
+};
+
+const SCHEMA_EXECUTOR = Joi.object().keys({
+    name: Joi.string().required(),
+    pluginName: Joi.string(),
+    aliases: Joi.array().items(Joi.string(), Joi.object().keys({ name: Joi.string().required(), ...SCHEMA_ALIAS })),
+    allow: SCHEMA_ALLOW,
+    canary: SCHEMA_CANARY,
+    platforms: Joi.array()
+        .items(Joi.string().pattern(/^[\w-]+(\/[\w-]+){0,2}$/, 'platform'))
+        .min(1),
+    maxResources: SCHEMA_RESOURCES,
+    fallbacks: Joi.array().items(Joi.string()).unique(),
+    enabled: Joi.boolean(),
+    options: Joi.object().unknown(true),
+    weightage: Joi.number().min(0),
+    exclusions: containerRuleList,
+    inclusions: containerRuleList,
+    match: SCHEMA_MATCH,
+    maxConcurrent: Joi.number().integer().min(1),
+    schedule: Joi.array().items(Joi.object().keys({ ...SCHEMA_WINDOW, weightage: Joi.number().min(0).required() })),
+    maintenance: Joi.array().items(Joi.object().keys(SCHEMA_WINDOW)),
+    draining: Joi.boolean(),
+    circuitBreaker: SCHEMA_CIRCUIT_BREAKER
+});
+
+const SCHEMA_RULE = Joi.object()
+    .keys({
+        name: Joi.string().required(),
+        check: Joi.func(),
+        module: Joi.string(),
+        before: Joi.string(),
+        after: Joi.string()
+    })
+    .xor('check', 'module')
+    .oxor('before', 'after');
+
+const SCHEMA_CONFIG = Joi.object().keys({
+    aliases: Joi.object().pattern(
+        Joi.string(),
+        Joi.alternatives().try(Joi.string(), Joi.object().keys({ executor: Joi.string().required(), ...SCHEMA_ALIAS }))
+    ),
+    annotationPolicy: Joi.object().keys({
+        unknown: Joi.string().valid('fallback', 'reject'),
+        unauthorized: Joi.string().valid('fallback', 'reject'),
+        draining: Joi.string().valid('fallback', 'reject')
+    }),
+    ecosystem: Joi.object().unknown(true),
+    executor: Joi.array().items(SCHEMA_EXECUTOR).min(1).unique('name').required(),
+    defaultPlugin: Joi.string(),
+    clock: Joi.func(),
+    buildTtlMs: Joi.number().integer().min(1),
+    buildStore: Joi.object()
+        .keys({
+            get: Joi.func().required(),
+            set: Joi.func().required(),
+            remove: Joi.func().required(),
+            expire: Joi.func()
+        })
+        .unknown(true),
+    failover: Joi.boolean(),
+    resourceTiers: Joi.object().keys({ cpu: tiers, ram: tiers }),
+    rules: Joi.array().items(SCHEMA_RULE),
+    strict: Joi.boolean(),
+    weighting: Joi.object().keys({
+        strategy: Joi.string().valid('random', 'hash', 'least-loaded'),
+        hashKey: Joi.string().valid('jobId', 'pipelineId')
+    })
+});
+
+/**
+ * Returns the messages of all validation errors
+ * @method getErrors
+ * @param  {Object} schema Joi schema
+ * @param  {Object} value  Value to validate
+ * @return {Array}         Error messages
+ */
+function getErrors(schema, value) {
+    const { error } = schema.validate(value, { abortEarly: false });
+
+    return error ? error.details.map(detail => detail.message) : [];
+}
+
+/**
+ * Validates the router config, reporting all errors together
+ * @method validateConfig
+ * @param  {Object} config Router config
+ */
+function validateConfig(config) {
+    const errors = getErrors(SCHEMA_CONFIG, config);
+    const { aliases, defaultPlugin, executor } = config;
+    const isConfigured = name => Array.isArray(executor) && executor.some(e => e && e.name === name);
+
+    if (defaultPlugin && !isConfigured(defaultPlugin)) {
+        errors.push(`"defaultPlugin" ${defaultPlugin} is not a configured executor`);
+    }
+
+    if (errors.length === 0) {
+        const names = new Set();
+
+        executor
+            .filter(e => e.canary)
+            .forEach(e => {
+                const baseline = executor.find(b => b.name === e.canary.baseline);
+
+                if (!baseline || baseline.canary || baseline === e) {
+                    errors.push(`"${e.name}.canary.baseline" ${e.canary.baseline} is not a baseline executor`);
+                }
+            });
+
+        executor
+            .filter(e => e.fallbacks)
+            .forEach(e => {
+                e.fallbacks
+                    .filter(name => name === e.name || !isConfigured(name))
+                    .forEach(name => errors.push(`"${e.name}.fallbacks" ${name} is not another configured executor`));
+            });
+
+        collectAliases(aliases, executor).forEach(alias => {
+            if (!isConfigured(alias.executor)) {
+                errors.push(`"aliases.${alias.name}" ${alias.executor} is not a configured executor`);
+            }
+
+            if (isConfigured(alias.name) || names.has(alias.name)) {
+                errors.push(`alias ${alias.name} is already an executor or alias`);
+            }
+
+            names.add(alias.name);
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid executor router config: ${errors.join('; ')}`);
+    }
+}
+
+/**
+ * Validates the config of a single executor
+ * @method validateExecutor
+ * @param  {Object} executor Executor config
+ */
+function validateExecutor(executor) {
+    const errors = getErrors(SCHEMA_EXECUTOR, executor);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid executor config: ${errors.join('; ')}`);
+    }
+}
+
+module.exports = {
+    validateConfig,
+    validateExecutor
+};
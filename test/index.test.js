@@ -67,17 +67,50 @@ describe('index test', () => {
         k8sExecutorMock = {
             _start: sinon.stub(),
             _stop: sinon.stub(),
-            _verify: sinon.stub()
+            _verify: sinon.stub(),
+            _startPeriodic: sinon.stub(),
+            _stopPeriodic: sinon.stub(),
+            _startFrozen: sinon.stub(),
+            _stopFrozen: sinon.stub(),
+            _status: sinon.stub(),
+            _startTimer: sinon.stub(),
+            _stopTimer: sinon.stub(),
+            _cleanUp: sinon.stub(),
+            _unzipArtifacts: sinon.stub(),
+            _enqueueWebhook: sinon.stub(),
+            stats: sinon.stub()
         };
         exampleExecutorMock = {
             _start: sinon.stub(),
             _stop: sinon.stub(),
-            _verify: sinon.stub()
+            _verify: sinon.stub(),
+            _startPeriodic: sinon.stub(),
+            _stopPeriodic: sinon.stub(),
+            _startFrozen: sinon.stub(),
+            _stopFrozen: sinon.stub(),
+            _status: sinon.stub(),
+            _startTimer: sinon.stub(),
+            _stopTimer: sinon.stub(),
+            _cleanUp: sinon.stub(),
+            _unzipArtifacts: sinon.stub(),
+            _enqueueWebhook: sinon.stub(),
+            stats: sinon.stub()
         };
         testExecutorMock = {
             _start: sinon.stub(),
             _stop: sinon.stub(),
-            _verify: sinon.stub()
+            _verify: sinon.stub(),
+            _startPeriodic: sinon.stub(),
+            _stopPeriodic: sinon.stub(),
+            _startFrozen: sinon.stub(),
+            _stopFrozen: sinon.stub(),
+            _status: sinon.stub(),
+            _startTimer: sinon.stub(),
+            _stopTimer: sinon.stub(),
+            _cleanUp: sinon.stub(),
+            _unzipArtifacts: sinon.stub(),
+            _enqueueWebhook: sinon.stub(),
+            stats: sinon.stub()
         };
         mockery.registerMock('fs', fsMock);
         mockery.registerMock('screwdriver-executor-k8s', testExecutor(k8sExecutorMock));
@@ -250,6 +283,57 @@ describe('index test', () => {
             });
         });
 
+        it('throws an error listing every invalid setting', () => {
+            assert.throws(
+                () => {
+                    executor = new Executor({
+                        ecosystem,
+                        defaultPlugin: 'DNE',
+                        executor: [
+                            {
+                                name: 'k8s',
+                                weightage: 'abc',
+                                options: k8sPluginOptions
+                            },
+                            {
+                                name: 'k8s',
+                                exclusions: ['[']
+                            }
+                        ]
+                    });
+                },
+                Error,
+                new RegExp(
+                    '^Invalid executor router config: "executor\\[0\\].weightage" must be a number; ' +
+                        '"executor\\[1\\].exclusions\\[0\\]" is not a valid regular expression: .+; ' +
+                        '"executor\\[1\\]" contains a duplicate value; ' +
+                        '"defaultPlugin" DNE is not a configured executor$'
+                )
+            );
+        });
+
+        it('throws an error in strict mode when a npm module cannot be registered', () => {
+            assert.throws(
+                () => {
+                    executor = new Executor({
+                        ecosystem,
+                        strict: true,
+                        executor: [
+                            {
+                                name: 'k8s',
+                                options: k8sPluginOptions
+                            },
+                            {
+                                name: 'DNE'
+                            }
+                        ]
+                    });
+                },
+                Error,
+                /^Failed to load executor DNE: Cannot find module 'screwdriver-executor-DNE'/
+            );
+        });
+
         it('registers multiple plugins', () => {
             const executorKubernetes = executor.k8s;
             const exampleExecutor = executor.example;
@@ -933,4 +1017,2949 @@ describe('index test', () => {
                 });
         });
     });
+
+    describe('sticky routing', () => {
+        const apiUri = 'https://api.sd.cd';
+        const startConfig = {
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        let randomStub;
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'example',
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 20,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        weightage: 0,
+                        options: examplePluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        options: testPluginOptions
+                    }
+                ]
+            });
+            randomStub = sinon.stub(Math, 'random');
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            k8sExecutorMock._stop.resolves('k8sStopResult');
+            k8sExecutorMock._verify.resolves('k8sVerifyResult');
+            testExecutorMock._stop.resolves('testStopResult');
+        });
+
+        afterEach(() => {
+            randomStub.restore();
+        });
+
+        it('stops and verifies a build on the executor that started it', () => {
+            randomStub.onFirstCall().returns(0);
+            randomStub.returns(0.99);
+
+            return executor
+                .start(startConfig)
+                .then(() => executor.verify(startConfig))
+                .then(result => {
+                    assert.strictEqual(result, 'k8sVerifyResult');
+
+                    return executor.stop({ apiUri, buildId: 920 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sStopResult');
+                    assert.calledOnce(k8sExecutorMock._verify);
+                    assert.calledOnce(k8sExecutorMock._stop);
+                    assert.notCalled(testExecutorMock._stop);
+                    assert.notCalled(testExecutorMock._verify);
+                });
+        });
+
+        it('stops a build again on the same executor until it is forgotten', () => {
+            let now = 0;
+
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'test',
+                clock: () => now,
+                buildTtlMs: 1000,
+                executor: [
+                    { name: 'k8s', weightage: 20, options: k8sPluginOptions },
+                    { name: 'test', weightage: 10, options: testPluginOptions }
+                ]
+            });
+            randomStub.onFirstCall().returns(0);
+            randomStub.returns(0.99);
+
+            return executor
+                .start(startConfig)
+                .then(() => executor.stop({ apiUri, buildId: 920 }))
+                .then(() => {
+                    now = 999;
+
+                    return executor.stop({ apiUri, buildId: 920 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sStopResult');
+                    assert.calledTwice(k8sExecutorMock._stop);
+
+                    now = 1000;
+
+                    return executor.stop({ apiUri, buildId: 920 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'testStopResult');
+                    assert.calledTwice(k8sExecutorMock._stop);
+                    assert.strictEqual(executor.getInFlight('k8s'), 0);
+                });
+        });
+
+        it('does not record a build that failed to start', () => {
+            randomStub.onFirstCall().returns(0);
+            randomStub.returns(0.99);
+            k8sExecutorMock._start.rejects(new Error('triggeredError'));
+
+            return executor
+                .start(startConfig)
+                .then(assert.fail, () => executor.stop({ apiUri, buildId: 920 }))
+                .then(result => {
+                    assert.strictEqual(result, 'testStopResult');
+                    assert.notCalled(k8sExecutorMock._stop);
+                });
+        });
+
+        it('uses a custom build store', () => {
+            const buildStore = {
+                get: sinon.stub().resolves('k8s'),
+                set: sinon.stub().resolves(),
+                remove: sinon.stub().resolves()
+            };
+
+            executor = new Executor({
+                ecosystem,
+                buildStore,
+                executor: [
+                    {
+                        name: 'test',
+                        options: testPluginOptions
+                    },
+                    {
+                        name: 'k8s',
+                        options: k8sPluginOptions
+                    }
+                ]
+            });
+
+            return executor
+                .start(startConfig)
+                .then(() => {
+                    assert.calledWith(buildStore.set, 920, 'test');
+
+                    return executor.stop({ apiUri, buildId: 920 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sStopResult');
+                    assert.calledWith(buildStore.get, 920);
+                    assert.calledWith(buildStore.remove, 920);
+                });
+        });
+
+        it('lets a custom build store expire stopped builds', () => {
+            const buildStore = {
+                get: sinon.stub().resolves('k8s'),
+                set: sinon.stub().resolves(),
+                remove: sinon.stub().resolves(),
+                expire: sinon.stub().resolves()
+            };
+
+            executor = new Executor({
+                ecosystem,
+                buildStore,
+                executor: [{ name: 'k8s', options: k8sPluginOptions }]
+            });
+
+            return executor.stop({ apiUri, buildId: 920 }).then(() => {
+                assert.calledWith(buildStore.expire, 920);
+                assert.notCalled(buildStore.remove);
+            });
+        });
+
+        it('falls back to the executor rules when the build store fails', () => {
+            executor = new Executor({
+                ecosystem,
+                buildStore: {
+                    get: sinon.stub().rejects(new Error('store down')),
+                    set: sinon.stub().rejects(new Error('store down')),
+                    remove: sinon.stub().rejects(new Error('store down'))
+                },
+                executor: [
+                    {
+                        name: 'test',
+                        options: testPluginOptions
+                    },
+                    {
+                        name: 'k8s',
+                        options: k8sPluginOptions
+                    }
+                ]
+            });
+
+            return executor.stop({ apiUri, buildId: 920 }).then(result => {
+                assert.strictEqual(result, 'testStopResult');
+            });
+        });
+    });
+
+    describe('failover', () => {
+        const startConfig = {
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        let randomStub;
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'example',
+                failover: true,
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 20,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        weightage: 0,
+                        options: examplePluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        exclusions: ['rhel6'],
+                        options: testPluginOptions
+                    }
+                ]
+            });
+            randomStub = sinon.stub(Math, 'random').returns(0);
+        });
+
+        afterEach(() => {
+            randomStub.restore();
+        });
+
+        it('starts the build on the next weighted executor when start fails', () => {
+            k8sExecutorMock._start.rejects(new Error('k8s is down'));
+            testExecutorMock._start.resolves('testExecutorResult');
+            testExecutorMock._stop.resolves('testStopResult');
+
+            return executor
+                .start(startConfig)
+                .then(result => {
+                    assert.strictEqual(result, 'testExecutorResult');
+                    assert.calledOnce(k8sExecutorMock._start);
+                    assert.notCalled(exampleExecutorMock._start);
+
+                    return executor.stop({ apiUri: 'http://api.com', buildId: 920 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'testStopResult');
+                    assert.notCalled(k8sExecutorMock._stop);
+                });
+        });
+
+        it('skips excluded executors and falls back to the default executor', () => {
+            k8sExecutorMock._start.rejects(new Error('k8s is down'));
+            testExecutorMock._start.resolves('testExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+
+            return executor.start({ ...startConfig, container: 'rhel6' }).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+                assert.calledOnce(k8sExecutorMock._start);
+                assert.notCalled(testExecutorMock._start);
+            });
+        });
+
+        it('propagates the last failure when every executor fails', () => {
+            const testError = new Error('example is down');
+
+            k8sExecutorMock._start.rejects(new Error('k8s is down'));
+            testExecutorMock._start.rejects(new Error('test is down'));
+            exampleExecutorMock._start.rejects(testError);
+
+            return executor.start(startConfig).then(assert.fail, err => {
+                assert.deepEqual(err, testError);
+                assert.callOrder(k8sExecutorMock._start, testExecutorMock._start, exampleExecutorMock._start);
+            });
+        });
+
+        it('does not fail over an annotated build', () => {
+            const testError = new Error('k8s is down');
+
+            k8sExecutorMock._start.rejects(testError);
+
+            return executor
+                .start({ ...startConfig, annotations: { 'screwdriver.cd/executor': 'k8s' } })
+                .then(assert.fail, err => {
+                    assert.deepEqual(err, testError);
+                    assert.notCalled(testExecutorMock._start);
+                    assert.notCalled(exampleExecutorMock._start);
+                });
+        });
+
+        it('does not fail over when failover is disabled', () => {
+            const testError = new Error('k8s is down');
+
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 20,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        options: testPluginOptions
+                    }
+                ]
+            });
+            k8sExecutorMock._start.rejects(testError);
+
+            return executor.start(startConfig).then(assert.fail, err => {
+                assert.deepEqual(err, testError);
+                assert.notCalled(testExecutorMock._start);
+            });
+        });
+    });
+
+    describe('circuit breaker', () => {
+        const startConfig = {
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        let clock;
+        let randomStub;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+            randomStub = sinon.stub(Math, 'random').returns(0);
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'k8s',
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 20,
+                        circuitBreaker: { failureThreshold: 2, windowMs: 1000, coolDownMs: 5000 },
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        options: testPluginOptions
+                    }
+                ]
+            });
+            k8sExecutorMock._start.rejects(new Error('k8s is down'));
+            testExecutorMock._start.resolves('testExecutorResult');
+        });
+
+        afterEach(() => {
+            clock.restore();
+            randomStub.restore();
+        });
+
+        it('stops routing to an executor after consecutive start failures', () =>
+            executor
+                .start(startConfig)
+                .catch(() => executor.start(startConfig))
+                .catch(() => executor.start(startConfig))
+                .then(result => {
+                    assert.strictEqual(result, 'testExecutorResult');
+                    assert.calledTwice(k8sExecutorMock._start);
+                    assert.isFalse(executor.isExecutorAvailable('k8s'));
+                    assert.strictEqual(
+                        executor.selectExecutor({ container: 'node:18' }, { operation: 'start' }).name,
+                        'test'
+                    );
+                    assert.strictEqual(executor.selectExecutor({}, { operation: 'start' }).name, 'test');
+                }));
+
+        it('routes a trial build after the cool-down and closes the circuit when it succeeds', () =>
+            executor
+                .start(startConfig)
+                .catch(() => executor.start(startConfig))
+                .catch(() => {
+                    clock.tick(5000);
+                    k8sExecutorMock._start.resolves('k8sExecutorResult');
+
+                    return executor.start(startConfig);
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+                    assert.isTrue(executor.isExecutorAvailable('k8s'));
+                }));
+
+        it('does not let annotated builds re-arm or close an open circuit', () => {
+            const annotatedConfig = { ...startConfig, annotations: { 'screwdriver.cd/executor': 'k8s' } };
+
+            return executor
+                .start(startConfig)
+                .catch(() => executor.start(startConfig))
+                .catch(() => {
+                    clock.tick(900);
+
+                    return executor.start(annotatedConfig);
+                })
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.message, 'k8s is down');
+                    k8sExecutorMock._start.resolves('k8sExecutorResult');
+
+                    return executor.start(annotatedConfig);
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+                    assert.strictEqual(executor._circuits.k8s.state, 'open');
+                    assert.strictEqual(executor._circuits.k8s.openedAt, 0);
+
+                    clock.tick(4100);
+
+                    assert.isTrue(executor.isExecutorAvailable('k8s'));
+                });
+        });
+
+        it('does not affect executors without a circuit breaker', () => {
+            assert.isTrue(executor.isExecutorAvailable('test'));
+            assert.isTrue(executor.isExecutorAvailable('example'));
+        });
+    });
+
+    describe('other operations', () => {
+        const apiUri = 'https://api.sd.cd';
+        const periodicConfig = {
+            pipeline: { id: 1234 },
+            job: {
+                id: 5678,
+                name: 'main',
+                permutations: [
+                    {
+                        annotations: { 'screwdriver.cd/executor': 'example' },
+                        image: 'node:18'
+                    }
+                ]
+            },
+            apiUri,
+            isUpdate: false,
+            token: 'qwer'
+        };
+
+        it('routes periodic builds with the job annotations', () => {
+            exampleExecutorMock._startPeriodic.resolves('startPeriodicResult');
+            exampleExecutorMock._stopPeriodic.resolves('stopPeriodicResult');
+
+            return executor
+                .startPeriodic(periodicConfig)
+                .then(result => {
+                    assert.strictEqual(result, 'startPeriodicResult');
+                    assert.calledWith(exampleExecutorMock._startPeriodic, periodicConfig);
+
+                    return executor.stopPeriodic(periodicConfig);
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'stopPeriodicResult');
+                    assert.notCalled(k8sExecutorMock._startPeriodic);
+                    assert.notCalled(k8sExecutorMock._stopPeriodic);
+                });
+        });
+
+        it('routes frozen builds through the executor rules', () => {
+            const frozenConfig = {
+                annotations: { 'screwdriver.cd/executor': 'test' },
+                buildId: 920,
+                jobId: 5678,
+                apiUri,
+                token: 'qwer'
+            };
+
+            testExecutorMock._startFrozen.resolves('startFrozenResult');
+            testExecutorMock._stopFrozen.resolves('stopFrozenResult');
+
+            return executor
+                .startFrozen(frozenConfig)
+                .then(result => {
+                    assert.strictEqual(result, 'startFrozenResult');
+
+                    return executor.stopFrozen({ jobId: 5678 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'stopFrozenResult');
+                    assert.notCalled(k8sExecutorMock._stopFrozen);
+                });
+        });
+
+        it('stops periodic builds on the executor they were scheduled on', () => {
+            const weightedConfig = { ...periodicConfig, job: { id: 5678, name: 'main', permutations: [{}] } };
+            const randomStub = sinon.stub(Math, 'random').returns(0);
+
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', weightage: 10, options: k8sPluginOptions },
+                    { name: 'example', weightage: 10, options: examplePluginOptions }
+                ]
+            });
+            k8sExecutorMock._startPeriodic.resolves('startPeriodicResult');
+            k8sExecutorMock._stopPeriodic.resolves('stopPeriodicResult');
+
+            return executor
+                .startPeriodic(weightedConfig)
+                .then(() => {
+                    randomStub.returns(0.99);
+
+                    return executor.stopPeriodic(weightedConfig);
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'stopPeriodicResult');
+                    assert.notCalled(exampleExecutorMock._stopPeriodic);
+                })
+                .finally(() => randomStub.restore());
+        });
+
+        it('moves the periodic builds of a job to another executor', () => {
+            const movedConfig = {
+                ...periodicConfig,
+                isUpdate: true,
+                job: { ...periodicConfig.job, permutations: [{ annotations: { 'screwdriver.cd/executor': 'test' } }] }
+            };
+
+            exampleExecutorMock._startPeriodic.resolves('startPeriodicResult');
+            exampleExecutorMock._stopPeriodic.resolves('stopPeriodicResult');
+            testExecutorMock._startPeriodic.resolves('movedPeriodicResult');
+
+            return executor
+                .startPeriodic(periodicConfig)
+                .then(() => executor.startPeriodic(movedConfig))
+                .then(result => {
+                    assert.strictEqual(result, 'movedPeriodicResult');
+                    assert.calledWith(exampleExecutorMock._stopPeriodic, movedConfig);
+                    assert.callOrder(exampleExecutorMock._stopPeriodic, testExecutorMock._startPeriodic);
+                });
+        });
+
+        it('unzips artifacts on the executor that started the build and enqueues webhooks', () => {
+            const webhookConfig = { annotations: { 'screwdriver.cd/executor': 'example' }, hookId: 1 };
+
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            exampleExecutorMock._unzipArtifacts.resolves('unzipResult');
+            exampleExecutorMock._enqueueWebhook.resolves('webhookResult');
+
+            return executor
+                .start({
+                    annotations: { 'screwdriver.cd/executor': 'example' },
+                    buildId: 920,
+                    container: 'node:18',
+                    apiUri,
+                    token: 'qwer'
+                })
+                .then(() =>
+                    Promise.all([executor.unzipArtifacts({ buildId: 920 }), executor.enqueueWebhook(webhookConfig)])
+                )
+                .then(results => {
+                    assert.deepEqual(results, ['unzipResult', 'webhookResult']);
+                    assert.notCalled(k8sExecutorMock._unzipArtifacts);
+                });
+        });
+
+        it('routes status and timers to the executor that started the build', () => {
+            const timerConfig = { buildId: 920, startTime: '2026-10-19T00:00:00.000Z', buildStatus: 'RUNNING' };
+
+            exampleExecutorMock._status.resolves('exampleStatus');
+            exampleExecutorMock._startTimer.resolves('startTimerResult');
+            exampleExecutorMock._stopTimer.resolves('stopTimerResult');
+
+            return executor
+                .start({
+                    annotations: { 'screwdriver.cd/executor': 'example' },
+                    buildId: 920,
+                    container: 'node:18',
+                    apiUri,
+                    token: 'qwer'
+                })
+                .then(() => executor.status({ buildId: 920 }))
+                .then(result => {
+                    assert.strictEqual(result, 'exampleStatus');
+
+                    return executor.startTimer(timerConfig);
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'startTimerResult');
+
+                    return executor.stopTimer({ buildId: 920 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'stopTimerResult');
+                    assert.notCalled(k8sExecutorMock._status);
+                    assert.notCalled(k8sExecutorMock._startTimer);
+                    assert.notCalled(k8sExecutorMock._stopTimer);
+                });
+        });
+
+        it('emits route events for the other operations', () => {
+            const route = sinon.stub();
+
+            executor.events.on('route', route);
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            exampleExecutorMock._startPeriodic.resolves('startPeriodicResult');
+            exampleExecutorMock._stopPeriodic.resolves('stopPeriodicResult');
+            exampleExecutorMock._status.resolves('exampleStatus');
+            exampleExecutorMock._unzipArtifacts.resolves('unzipResult');
+            exampleExecutorMock._enqueueWebhook.resolves('webhookResult');
+
+            return executor
+                .start({
+                    annotations: { 'screwdriver.cd/executor': 'example' },
+                    buildId: 920,
+                    container: 'node:18',
+                    apiUri,
+                    token: 'qwer'
+                })
+                .then(() => executor.startPeriodic(periodicConfig))
+                .then(() => executor.stopPeriodic(periodicConfig))
+                .then(() => executor.status({ buildId: 920 }))
+                .then(() => executor.unzipArtifacts({ buildId: 920 }))
+                .then(() => executor.enqueueWebhook({ annotations: { 'screwdriver.cd/executor': 'example' } }))
+                .then(() => {
+                    assert.deepEqual(
+                        route.args.map(([event]) => [event.operation, event.executor, event.rule, event.buildId]),
+                        [
+                            ['start', 'example', 'annotated', 920],
+                            ['startPeriodic', 'example', 'annotated', undefined],
+                            ['stopPeriodic', 'example', 'sticky', undefined],
+                            ['status', 'example', 'sticky', 920],
+                            ['unzipArtifacts', 'example', 'sticky', 920],
+                            ['enqueueWebhook', 'example', 'annotated', undefined]
+                        ]
+                    );
+                    assert.strictEqual(executor.getMetrics().example.routed, 6);
+                });
+        });
+
+        it('cleans up every executor', () => {
+            k8sExecutorMock._cleanUp.resolves();
+            exampleExecutorMock._cleanUp.resolves();
+            testExecutorMock._cleanUp.resolves();
+
+            return executor.cleanUp().then(() => {
+                assert.calledOnce(k8sExecutorMock._cleanUp);
+                assert.calledOnce(exampleExecutorMock._cleanUp);
+                assert.calledTwice(testExecutorMock._cleanUp);
+            });
+        });
+
+        it('propagates a clean up failure', () => {
+            const testError = new Error('cleanUpError');
+
+            k8sExecutorMock._cleanUp.rejects(testError);
+
+            return executor.cleanUp().then(assert.fail, err => {
+                assert.deepEqual(err, testError);
+            });
+        });
+
+        it('returns the stats of every executor', () => {
+            k8sExecutorMock.stats.returns({ requests: 1 });
+            exampleExecutorMock.stats.returns({ requests: 2 });
+            testExecutorMock.stats.returns({});
+
+            assert.deepEqual(executor.stats(), {
+                k8s: { requests: 1 },
+                'test-sandbox': {},
+                example: { requests: 2 },
+                test: {}
+            });
+        });
+    });
+
+    describe('match rules', () => {
+        const startConfig = {
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer',
+            jobName: 'main',
+            pipeline: { id: 1234, name: 'screwdriver-cd/executor-router', scmContext: 'github:github.com' }
+        };
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'k8s',
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 10,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        match: {
+                            annotations: { 'screwdriver.cd/cpu': 'TURBO' }
+                        },
+                        options: examplePluginOptions
+                    },
+                    {
+                        name: 'test',
+                        exclusions: ['rhel6'],
+                        match: {
+                            pipelineIds: ['1000-2000'],
+                            repositories: ['^screwdriver-cd/']
+                        },
+                        options: testPluginOptions
+                    }
+                ]
+            });
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            testExecutorMock._start.resolves('testExecutorResult');
+        });
+
+        it('routes a build matching the annotations to the pinned executor', () =>
+            executor.start({ ...startConfig, annotations: { 'beta.screwdriver.cd/cpu': 'TURBO' } }).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+            }));
+
+        it('routes a build matching the pipeline to the pinned executor', () =>
+            executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'testExecutorResult');
+            }));
+
+        it('uses the weighted executor when no rule matches', () =>
+            executor.start({ ...startConfig, pipeline: { ...startConfig.pipeline, id: 42 } }).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+            }));
+
+        it('does not use a matching executor that excludes the container', () =>
+            executor.start({ ...startConfig, container: 'rhel6' }).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+            }));
+
+        it('prefers the executor annotation over match rules', () =>
+            executor.start({ ...startConfig, annotations: { 'screwdriver.cd/executor': 'k8s' } }).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+            }));
+    });
+
+    describe('container inclusions', () => {
+        const executors = [
+            { name: 'k8s', exclusions: ['windows', 'arm64'] },
+            { name: 'windows', inclusions: ['windows'] },
+            { name: 'arm', inclusions: ['arm64'], exclusions: ['windows'] }
+        ];
+
+        it('only allows executors including the container', () => {
+            assert.deepEqual(
+                executor.checkExclusions(executors, 'node:18').map(e => e.name),
+                ['k8s']
+            );
+            assert.deepEqual(
+                executor.checkExclusions(executors, 'sd/windows-2022:latest').map(e => e.name),
+                ['windows']
+            );
+            assert.deepEqual(
+                executor.checkExclusions(executors, 'node:18-arm64').map(e => e.name),
+                ['arm']
+            );
+        });
+
+        it('gives exclusions precedence over inclusions', () => {
+            assert.deepEqual(
+                executor.checkExclusions(executors, 'sd/windows-arm64:latest').map(e => e.name),
+                ['windows']
+            );
+        });
+
+        it('routes builds to the executor including the container', () => {
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'example',
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 10,
+                        exclusions: ['-arm64$'],
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        options: examplePluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        inclusions: ['-arm64$'],
+                        options: testPluginOptions
+                    }
+                ]
+            });
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            testExecutorMock._start.resolves('testExecutorResult');
+
+            const startConfig = {
+                buildId: 920,
+                apiUri: 'http://api.com',
+                token: 'qwer'
+            };
+
+            return executor
+                .start({ ...startConfig, container: 'node:18' })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+
+                    return executor.start({ ...startConfig, buildId: 921, container: 'node:18-arm64' });
+                })
+                .then(() => {
+                    assert.calledOnce(k8sExecutorMock._start);
+                    assert.calledOnce(testExecutorMock._start);
+                });
+        });
+    });
+
+    describe('custom rules', () => {
+        const startConfig = {
+            annotations: { 'screwdriver.cd/executor': 'k8s' },
+            buildClusterName: 'gpu',
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        const executorConfig = [
+            {
+                name: 'k8s',
+                options: k8sPluginOptions
+            },
+            {
+                name: 'example',
+                options: examplePluginOptions
+            },
+            {
+                name: 'test',
+                options: testPluginOptions
+            }
+        ];
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            testExecutorMock._start.resolves('testExecutorResult');
+        });
+
+        it('adds a custom rule before the default rule', () => {
+            const check = sinon.stub().returns('example');
+
+            executor = new Executor({
+                ecosystem,
+                executor: executorConfig,
+                rules: [{ name: 'cluster', check }]
+            });
+
+            assert.deepEqual(
+                executor._executorRules.map(rule => rule.name),
+                ['annotated', 'matched', 'weighted', 'cluster', 'default']
+            );
+
+            return executor.start({ ...startConfig, annotations: {} }).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+                assert.calledWith(check, sinon.match({ buildClusterName: 'gpu' }), executor);
+            });
+        });
+
+        it('adds a custom rule with a higher priority than a built-in rule', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: executorConfig,
+                rules: [
+                    {
+                        name: 'cluster',
+                        before: 'annotated',
+                        check: buildConfig => (buildConfig.buildClusterName === 'gpu' ? 'test' : undefined)
+                    }
+                ]
+            });
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'testExecutorResult');
+            });
+        });
+
+        it('adds a custom rule from a module after a built-in rule', () => {
+            mockery.registerMock('sd-cost-center-rule', { check: () => 'example' });
+            executor = new Executor({
+                ecosystem,
+                executor: executorConfig,
+                rules: [{ name: 'costCenter', module: 'sd-cost-center-rule', after: 'annotated' }]
+            });
+
+            assert.strictEqual(executor._executorRules[1].name, 'costCenter');
+
+            return executor
+                .start(startConfig)
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+
+                    return executor.start({ ...startConfig, annotations: {} });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'exampleExecutorResult');
+                });
+        });
+
+        it('adds a custom rule from a module exporting a function', () => {
+            mockery.registerMock('sd-cost-center-rule', () => 'test');
+            executor.registerRule({ name: 'costCenter', module: 'sd-cost-center-rule' });
+
+            return executor.start({ ...startConfig, annotations: {} }).then(result => {
+                assert.strictEqual(result, 'testExecutorResult');
+            });
+        });
+
+        it('continues with the next rule when a custom rule fails', () => {
+            executor.registerRule({
+                name: 'broken',
+                before: 'annotated',
+                check: () => {
+                    throw new Error('broken rule');
+                }
+            });
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+            });
+        });
+
+        it('throws an error for an invalid rule', () => {
+            assert.throws(() => executor.registerRule({ check: () => 'k8s' }), 'Executor rule must have a name.');
+            assert.throws(
+                () => executor.registerRule({ name: 'weighted', check: () => 'k8s' }),
+                'Executor rule weighted already exists.'
+            );
+            assert.throws(
+                () => executor.registerRule({ name: 'cluster' }),
+                'Executor rule cluster must have a check function.'
+            );
+            assert.throws(
+                () => executor.registerRule({ name: 'cluster', before: 'DNE', check: () => 'k8s' }),
+                'Executor rule DNE does not exist.'
+            );
+        });
+    });
+
+    describe('explain', () => {
+        let randomStub;
+
+        beforeEach(() => {
+            randomStub = sinon.stub(Math, 'random').returns(0);
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'example',
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: '20',
+                        exclusions: ['rhel6'],
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        options: examplePluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        options: testPluginOptions
+                    }
+                ]
+            });
+        });
+
+        afterEach(() => {
+            randomStub.restore();
+        });
+
+        it('explains a weighted routing decision', () => {
+            assert.deepEqual(executor.explain({ buildId: 920, container: 'node:18' }), {
+                executor: 'k8s',
+                rule: 'weighted',
+                candidates: [
+                    { name: 'k8s', weightage: 20, available: true, allowed: true },
+                    { name: 'example', weightage: 0, available: true, allowed: true },
+                    { name: 'test', weightage: 10, available: true, allowed: true }
+                ],
+                skipped: [
+                    { rule: 'annotated', reason: 'No executor selected' },
+                    { rule: 'matched', reason: 'No executor selected' }
+                ]
+            });
+        });
+
+        it('explains why earlier rules were skipped', () => {
+            const result = executor.explain({
+                annotations: { 'screwdriver.cd/executor': 'DNE' },
+                buildId: 920,
+                container: 'rhel6'
+            });
+
+            assert.strictEqual(result.executor, 'test');
+            assert.strictEqual(result.rule, 'weighted');
+            assert.deepEqual(
+                result.candidates.map(c => c.name),
+                ['example', 'test']
+            );
+            assert.deepEqual(result.skipped[0], { rule: 'annotated', reason: 'Executor DNE is not registered' });
+        });
+
+        it('explains a default routing decision when the rules fail', () => {
+            const result = executor.explain({ buildId: 920 });
+
+            assert.strictEqual(result.executor, 'example');
+            assert.strictEqual(result.rule, 'default');
+            assert.deepEqual(result.candidates, []);
+            assert.match(result.skipped[2].reason, /^Failed to validate: /);
+        });
+
+        it('does not start the build', () => {
+            executor.explain({ buildId: 920, container: 'node:18' });
+
+            assert.notCalled(k8sExecutorMock._start);
+            assert.notCalled(testExecutorMock._start);
+            assert.notCalled(exampleExecutorMock._start);
+        });
+    });
+
+    describe('events and metrics', () => {
+        const startConfig = {
+            annotations: { 'screwdriver.cd/executor': 'example' },
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        let events;
+
+        beforeEach(() => {
+            events = [];
+            ['route', 'start', 'stop', 'verify'].forEach(name =>
+                executor.events.on(name, payload => events.push({ name, ...payload }))
+            );
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            exampleExecutorMock._verify.resolves('exampleVerifyResult');
+            exampleExecutorMock._stop.rejects(new Error('stopError'));
+        });
+
+        it('emits routing decisions and outcomes', () =>
+            executor
+                .start(startConfig)
+                .then(() => executor.verify(startConfig))
+                .then(() => executor.stop({ apiUri: 'http://api.com', buildId: 920 }))
+                .then(assert.fail, () => {
+                    assert.deepEqual(
+                        events.map(({ name, operation, executor: executorName, rule, buildId, success }) => ({
+                            name,
+                            operation,
+                            executor: executorName,
+                            rule,
+                            buildId,
+                            success
+                        })),
+                        [
+                            {
+                                name: 'route',
+                                operation: 'start',
+                                executor: 'example',
+                                rule: 'annotated',
+                                buildId: 920,
+                                success: undefined
+                            },
+                            {
+                                name: 'start',
+                                operation: undefined,
+                                executor: 'example',
+                                rule: 'annotated',
+                                buildId: 920,
+                                success: true
+                            },
+                            {
+                                name: 'route',
+                                operation: 'verify',
+                                executor: 'example',
+                                rule: 'sticky',
+                                buildId: 920,
+                                success: undefined
+                            },
+                            {
+                                name: 'verify',
+                                operation: undefined,
+                                executor: 'example',
+                                rule: 'sticky',
+                                buildId: 920,
+                                success: true
+                            },
+                            {
+                                name: 'route',
+                                operation: 'stop',
+                                executor: 'example',
+                                rule: 'sticky',
+                                buildId: 920,
+                                success: undefined
+                            },
+                            {
+                                name: 'stop',
+                                operation: undefined,
+                                executor: 'example',
+                                rule: 'sticky',
+                                buildId: 920,
+                                success: false
+                            }
+                        ]
+                    );
+                    events.forEach(event => assert.isAtLeast(event.latency, 0));
+                    assert.strictEqual(events[5].error.message, 'stopError');
+                }));
+
+        it('counts routing decisions and outcomes per executor', () =>
+            executor
+                .start(startConfig)
+                .then(() => executor.verify(startConfig))
+                .then(() => executor.stop({ apiUri: 'http://api.com', buildId: 920 }))
+                .catch(() => {
+                    const metrics = executor.getMetrics();
+
+                    assert.deepEqual(metrics.example, {
+                        inFlight: 0,
+                        routed: 3,
+                        start: { success: 1, failure: 0 },
+                        stop: { success: 0, failure: 1 },
+                        verify: { success: 1, failure: 0 }
+                    });
+                    assert.strictEqual(metrics.k8s.routed, 0);
+
+                    metrics.example.routed = 10;
+                    assert.strictEqual(executor.getMetrics().example.routed, 3);
+                }));
+
+        it('marks failover attempts in the start events', () => {
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'example',
+                failover: true,
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 10,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        options: examplePluginOptions
+                    }
+                ]
+            });
+            executor.events.on('start', payload => events.push(payload));
+            k8sExecutorMock._start.rejects(new Error('k8s is down'));
+
+            return executor.start({ ...startConfig, annotations: {} }).then(() => {
+                assert.deepEqual(
+                    events.map(event => [event.executor, event.rule, event.success]),
+                    [
+                        ['k8s', 'weighted', false],
+                        ['example', 'failover', true]
+                    ]
+                );
+            });
+        });
+
+        it('does not fail routing when a listener throws', () => {
+            executor.events.on('start', () => {
+                throw new Error('listenerError');
+            });
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+            });
+        });
+    });
+
+    describe('hash weighting', () => {
+        const executors = [
+            { name: 'k8s', weightage: 20 },
+            { name: 'example', weightage: 0 },
+            { name: 'test', weightage: '10' }
+        ];
+        const jobIds = Array.from({ length: 3000 }, (_, i) => i + 1);
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem,
+                weighting: { strategy: 'hash' },
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 20,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        options: testPluginOptions
+                    }
+                ]
+            });
+        });
+
+        it('keeps a job on the same executor', () => {
+            const selected = executor.getWeightedExecutor(executors, { jobId: 1234 });
+
+            for (let i = 0; i < 10; i += 1) {
+                assert.strictEqual(executor.getWeightedExecutor(executors, { jobId: 1234 }), selected);
+            }
+        });
+
+        it('respects the weightage proportions', () => {
+            const counts = { k8s: 0, example: 0, test: 0 };
+
+            jobIds.forEach(jobId => {
+                counts[executor.getWeightedExecutor(executors, { jobId })] += 1;
+            });
+
+            assert.strictEqual(counts.example, 0);
+            assert.closeTo(counts.k8s / jobIds.length, 2 / 3, 0.05);
+        });
+
+        it('only moves jobs to the executor whose weightage increased', () => {
+            const before = jobIds.map(jobId => executor.getWeightedExecutor(executors, { jobId }));
+            const changed = [executors[0], executors[1], { name: 'test', weightage: 20 }];
+            const after = jobIds.map(jobId => executor.getWeightedExecutor(changed, { jobId }));
+            const moved = jobIds.filter((_, i) => before[i] !== after[i]);
+
+            assert.isAbove(moved.length, 0);
+            moved.forEach(jobId => {
+                assert.strictEqual(after[jobId - 1], 'test');
+            });
+            assert.closeTo(moved.length / jobIds.length, 1 / 6, 0.05);
+        });
+
+        it('hashes on the pipeline ID', () => {
+            executor = new Executor({
+                ecosystem,
+                weighting: { strategy: 'hash', hashKey: 'pipelineId' },
+                executor: [
+                    {
+                        name: 'k8s',
+                        options: k8sPluginOptions
+                    }
+                ]
+            });
+
+            const selected = executor.getWeightedExecutor(executors, { pipeline: { id: 42 }, jobId: 1 });
+
+            for (let jobId = 2; jobId < 10; jobId += 1) {
+                assert.strictEqual(executor.getWeightedExecutor(executors, { pipelineId: 42, jobId }), selected);
+            }
+        });
+
+        it('selects randomly when the build has no hash key', () => {
+            const randomStub = sinon.stub(Math, 'random').returns(0.99);
+
+            try {
+                assert.strictEqual(executor.getWeightedExecutor(executors, {}), 'test');
+                assert.calledOnce(randomStub);
+            } finally {
+                randomStub.restore();
+            }
+        });
+
+        it('routes builds of a job to the same executor', () => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            testExecutorMock._start.resolves('testExecutorResult');
+
+            const startConfig = {
+                buildId: 920,
+                jobId: 1234,
+                container: 'node:18',
+                apiUri: 'http://api.com',
+                token: 'qwer'
+            };
+
+            return executor.start(startConfig).then(first =>
+                executor.start({ ...startConfig, buildId: 921 }).then(second => {
+                    assert.strictEqual(second, first);
+                })
+            );
+        });
+    });
+
+    describe('capacity', () => {
+        const apiUri = 'http://api.com';
+        const startConfig = {
+            buildId: 920,
+            container: 'node:18',
+            apiUri,
+            token: 'qwer'
+        };
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            k8sExecutorMock._stop.resolves('k8sStopResult');
+            testExecutorMock._start.resolves('testExecutorResult');
+            testExecutorMock._stop.resolves('testStopResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+        });
+
+        it('counts the builds in flight per executor', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    {
+                        name: 'k8s',
+                        options: k8sPluginOptions
+                    }
+                ]
+            });
+
+            return executor
+                .start(startConfig)
+                .then(() => executor.start({ ...startConfig, buildId: 921 }))
+                .then(() => {
+                    assert.strictEqual(executor.getInFlight('k8s'), 2);
+
+                    return executor.stop({ apiUri, buildId: 920 });
+                })
+                .then(() => executor.stop({ apiUri, buildId: 999 }))
+                .then(() => {
+                    assert.strictEqual(executor.getInFlight('k8s'), 1);
+                    assert.strictEqual(executor.getInFlight('DNE'), 0);
+                });
+        });
+
+        it('skips saturated executors', () => {
+            const randomStub = sinon.stub(Math, 'random').returns(0);
+
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'k8s',
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 100,
+                        maxConcurrent: 1,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        options: examplePluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 1,
+                        maxConcurrent: 1,
+                        options: testPluginOptions
+                    }
+                ]
+            });
+
+            return executor
+                .start(startConfig)
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+                    assert.isFalse(executor.isExecutorAvailable('k8s'));
+
+                    return executor.start({ ...startConfig, buildId: 921 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'testExecutorResult');
+
+                    return executor.start({ ...startConfig, buildId: 922 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'exampleExecutorResult');
+
+                    return executor.stop({ apiUri, buildId: 920 });
+                })
+                .then(() => executor.start({ ...startConfig, buildId: 923 }))
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+                })
+                .finally(() => randomStub.restore());
+        });
+
+        it('reserves the slots of concurrent starts', () => {
+            executor = new Executor({
+                ecosystem,
+                weighting: { strategy: 'least-loaded' },
+                executor: [
+                    { name: 'k8s', weightage: 10, maxConcurrent: 2, options: k8sPluginOptions },
+                    { name: 'test', weightage: 10, options: testPluginOptions }
+                ]
+            });
+
+            const starts = [...Array(10).keys()].map(index => executor.start({ ...startConfig, buildId: 920 + index }));
+
+            return Promise.all(starts).then(() => {
+                assert.strictEqual(executor.getInFlight('k8s'), 2);
+                assert.strictEqual(executor.getInFlight('test'), 8);
+                assert.callCount(k8sExecutorMock._start, 2);
+            });
+        });
+
+        it('releases the slot of a failed start', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: [{ name: 'k8s', maxConcurrent: 1, options: k8sPluginOptions }]
+            });
+            k8sExecutorMock._start.onFirstCall().rejects(new Error('k8s is down'));
+
+            return executor
+                .start(startConfig)
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.message, 'k8s is down');
+                    assert.strictEqual(executor.getInFlight('k8s'), 0);
+
+                    return executor.start(startConfig);
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+                    assert.strictEqual(executor.getInFlight('k8s'), 1);
+                });
+        });
+
+        it('reroutes or rejects builds annotated with a full executor as with a draining one', () => {
+            const annotatedConfig = { ...startConfig, annotations: { 'screwdriver.cd/executor': 'k8s' } };
+            const executors = [
+                { name: 'k8s', maxConcurrent: 1, options: k8sPluginOptions },
+                { name: 'example', options: examplePluginOptions }
+            ];
+
+            executor = new Executor({ ecosystem, executor: executors });
+
+            return executor
+                .start(annotatedConfig)
+                .then(() => executor.start({ ...annotatedConfig, buildId: 921 }))
+                .then(result => {
+                    assert.strictEqual(result, 'exampleExecutorResult');
+                    assert.calledOnce(k8sExecutorMock._start);
+
+                    executor = new Executor({
+                        ecosystem,
+                        annotationPolicy: { draining: 'reject' },
+                        executor: executors
+                    });
+
+                    return executor.start(annotatedConfig);
+                })
+                .then(() => executor.start({ ...annotatedConfig, buildId: 921 }))
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.name, 'RoutingError');
+                    assert.strictEqual(
+                        err.message,
+                        'Executor k8s from the executor annotation already runs its maxConcurrent of 1 builds'
+                    );
+                    assert.strictEqual(executor.getInFlight('k8s'), 1);
+                });
+        });
+
+        it('releases the slot of a build once, even when stopping it fails', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: [{ name: 'k8s', maxConcurrent: 1, options: k8sPluginOptions }]
+            });
+            k8sExecutorMock._stop.onFirstCall().rejects(new Error('stopError'));
+            k8sExecutorMock._stop.resolves('k8sStopResult');
+
+            return executor
+                .start(startConfig)
+                .then(() => executor.stop(startConfig))
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.message, 'stopError');
+                    assert.strictEqual(executor.getInFlight('k8s'), 0);
+
+                    return executor.stop(startConfig);
+                })
+                .then(() => {
+                    assert.strictEqual(executor.getInFlight('k8s'), 0);
+                });
+        });
+
+        it('prefers the least loaded executor', () => {
+            executor = new Executor({
+                ecosystem,
+                weighting: { strategy: 'least-loaded' },
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 10,
+                        maxConcurrent: 4,
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'test',
+                        weightage: 10,
+                        maxConcurrent: 2,
+                        options: testPluginOptions
+                    }
+                ]
+            });
+            executor._metrics.k8s.inFlight = 1;
+
+            assert.deepEqual(
+                executor.getLeastLoaded(executor._executors).map(e => e.name),
+                ['test']
+            );
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'testExecutorResult');
+                assert.deepEqual(
+                    executor.getLeastLoaded(executor._executors).map(e => e.name),
+                    ['k8s']
+                );
+            });
+        });
+    });
+
+    describe('runtime reconfiguration', () => {
+        const apiUri = 'http://api.com';
+        const startConfig = {
+            buildId: 920,
+            container: 'node:18',
+            apiUri,
+            token: 'qwer'
+        };
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'k8s',
+                executor: [
+                    {
+                        name: 'k8s',
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        options: examplePluginOptions
+                    }
+                ]
+            });
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            exampleExecutorMock._stop.resolves('exampleStopResult');
+            testExecutorMock._start.resolves('testExecutorResult');
+        });
+
+        it('adds an executor', () => {
+            executor.addExecutor({ name: 'test', weightage: 10, options: testPluginOptions });
+
+            assert.deepEqual(executor.test.constructorParams, { ecosystem, ...testPluginOptions });
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'testExecutorResult');
+                assert.strictEqual(executor.getMetrics().test.start.success, 1);
+            });
+        });
+
+        it('does not add an invalid executor', () => {
+            assert.throws(() => executor.addExecutor({ options: testPluginOptions }), '"name" is required');
+            assert.throws(() => executor.addExecutor({ name: 'k8s' }), 'Executor k8s already exists.');
+            assert.throws(
+                () => executor.addExecutor({ name: 'test', weightage: -1 }),
+                'Invalid executor config: "weightage" must be greater than or equal to 0'
+            );
+            assert.throws(() => executor.addExecutor({ name: 'DNE' }), /Cannot find module/);
+            assert.isFalse(executor.isRegistered('test'));
+            assert.isFalse(executor.isRegistered('DNE'));
+        });
+
+        it('removes an executor without breaking builds running on it', () =>
+            executor
+                .start({ ...startConfig, annotations: { 'screwdriver.cd/executor': 'example' } })
+                .then(() => {
+                    executor.removeExecutor('example');
+
+                    assert.isFalse(executor.isRegistered('example'));
+                    assert.isUndefined(executor.example);
+
+                    return executor.start({
+                        ...startConfig,
+                        buildId: 921,
+                        annotations: { 'screwdriver.cd/executor': 'example' }
+                    });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+
+                    return executor.stop({ apiUri, buildId: 920 });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'exampleStopResult');
+                }));
+
+        it('does not remove the default, the only or an unknown executor', () => {
+            assert.throws(() => executor.removeExecutor('k8s'), 'Executor k8s is the default executor.');
+            assert.throws(() => executor.removeExecutor('DNE'), 'Executor DNE does not exist.');
+
+            executor.removeExecutor('example');
+            executor.setDefaultExecutor('k8s');
+            assert.throws(() => executor.removeExecutor('k8s'), 'Executor k8s is the only executor.');
+        });
+
+        it('changes the weightage and exclusions of an executor', () => {
+            executor.updateExecutor('example', { weightage: 10, exclusions: ['rhel6'] });
+
+            return executor
+                .start(startConfig)
+                .then(result => {
+                    assert.strictEqual(result, 'exampleExecutorResult');
+
+                    return executor.start({ ...startConfig, buildId: 921, container: 'rhel6' });
+                })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+                });
+        });
+
+        it('does not apply invalid changes', () => {
+            assert.throws(
+                () => executor.updateExecutor('example', { weightage: 10, exclusions: ['('] }),
+                /^Invalid executor config: "exclusions\[0\]" is not a valid regular expression/
+            );
+            assert.throws(
+                () => executor.updateExecutor('example', { weightage: 'abc' }),
+                '"weightage" must be a number'
+            );
+            assert.throws(
+                () => executor.updateExecutor('example', { inclusions: 'rhel' }),
+                '"inclusions" must be an array'
+            );
+            assert.throws(
+                () => executor.updateExecutor('example', { maxConcurrent: 0 }),
+                '"maxConcurrent" must be greater than or equal to 1'
+            );
+            assert.throws(
+                () => executor.updateExecutor('example', { name: 'test', options: {} }),
+                'Executor settings name, options cannot be changed.'
+            );
+            assert.throws(() => executor.updateExecutor('DNE', { weightage: 1 }), 'Executor DNE does not exist.');
+            assert.isUndefined(executor._executors[1].weightage);
+        });
+
+        it('sets the default executor', () => {
+            assert.throws(() => executor.setDefaultExecutor('DNE'), 'Executor DNE does not exist.');
+            executor.setDefaultExecutor('example');
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+            });
+        });
+
+        it('does not route to an executor only because the router has a property of that name', () => {
+            assert.strictEqual(
+                executor.getExecutor({ annotations: { 'screwdriver.cd/executor': 'explain' } }),
+                executor.k8s
+            );
+        });
+    });
+
+    describe('unknown annotated executor', () => {
+        const apiUri = 'http://api.com';
+        const startConfig = {
+            annotations: { 'screwdriver.cd/executor': 'k8z' },
+            buildId: 920,
+            container: 'node:18',
+            apiUri,
+            token: 'qwer'
+        };
+        const executorConfig = [
+            {
+                name: 'k8s',
+                options: k8sPluginOptions
+            },
+            {
+                name: 'example',
+                options: examplePluginOptions
+            }
+        ];
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            k8sExecutorMock._stop.resolves('k8sStopResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+        });
+
+        it('falls back to the other rules by default', () => {
+            executor = new Executor({ ecosystem, executor: executorConfig });
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+            });
+        });
+
+        it('rejects the build listing the valid executors', () => {
+            const rejected = sinon.stub();
+
+            executor = new Executor({
+                ecosystem,
+                annotationPolicy: { unknown: 'reject' },
+                executor: executorConfig
+            });
+            executor.events.on('rejected', rejected);
+
+            return executor.start(startConfig).then(assert.fail, err => {
+                assert.strictEqual(err.name, 'RoutingError');
+                assert.strictEqual(
+                    err.message,
+                    'Executor k8z from the executor annotation does not exist, valid executors are: k8s, example'
+                );
+                assert.notCalled(k8sExecutorMock._start);
+                assert.calledWith(rejected, sinon.match({ operation: 'start', rule: 'annotated', buildId: 920 }));
+            });
+        });
+
+        it('still stops and verifies builds annotated with an unknown executor', () => {
+            executor = new Executor({
+                ecosystem,
+                annotationPolicy: { unknown: 'reject' },
+                executor: executorConfig
+            });
+
+            return executor.stop({ ...startConfig, token: undefined }).then(result => {
+                assert.strictEqual(result, 'k8sStopResult');
+            });
+        });
+
+        it('explains a rejection', () => {
+            executor = new Executor({
+                ecosystem,
+                annotationPolicy: { unknown: 'reject' },
+                executor: executorConfig
+            });
+
+            const result = executor.explain(startConfig);
+
+            assert.isUndefined(result.executor);
+            assert.strictEqual(result.rule, 'annotated');
+            assert.match(result.error, /^Executor k8z from the executor annotation does not exist/);
+        });
+
+        it('maps the annotation through aliases', () => {
+            executor = new Executor({
+                ecosystem,
+                aliases: { k8z: 'example' },
+                annotationPolicy: { unknown: 'reject' },
+                executor: executorConfig
+            });
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+            });
+        });
+
+        it('throws an error for an alias of an unknown executor', () => {
+            assert.throws(
+                () => new Executor({ ecosystem, aliases: { k8z: 'DNE' }, executor: executorConfig }),
+                '"aliases.k8z" DNE is not a configured executor'
+            );
+        });
+    });
+
+    describe('executor aliases', () => {
+        const startConfig = {
+            annotations: { 'screwdriver.cd/executor': 'k8s' },
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        let clock;
+        let warn;
+
+        beforeEach(() => {
+            // eslint-disable-next-line global-require
+            warn = sinon.stub(require('screwdriver-logger'), 'warn');
+            clock = sinon.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+
+            executor = new Executor({
+                ecosystem,
+                aliases: {
+                    legacy: { executor: 'example', deprecated: true }
+                },
+                annotationPolicy: { unknown: 'reject' },
+                executor: [
+                    {
+                        name: 'k8s-east',
+                        pluginName: 'k8s',
+                        aliases: [{ name: 'k8s', retireAt: '2026-06-01T00:00:00Z' }, 'kubernetes'],
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        options: examplePluginOptions
+                    }
+                ]
+            });
+        });
+
+        afterEach(() => {
+            clock.restore();
+            warn.restore();
+        });
+
+        it('routes an entry alias to its executor', () =>
+            executor
+                .start({ ...startConfig, annotations: { 'screwdriver.cd/executor': 'kubernetes' } })
+                .then(result => {
+                    assert.strictEqual(result, 'k8sExecutorResult');
+                    assert.notCalled(warn);
+                }));
+
+        it('warns about a deprecated alias', () =>
+            executor.start({ ...startConfig, annotations: { 'screwdriver.cd/executor': 'legacy' } }).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+                assert.calledWith(warn, 'Executor alias legacy is deprecated, use example instead');
+            }));
+
+        it('warns about the retirement date of an alias', () =>
+            executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+                assert.calledWith(
+                    warn,
+                    'Executor alias k8s is deprecated and will be retired on 2026-06-01T00:00:00.000Z, use k8s-east instead'
+                );
+            }));
+
+        it('stops resolving an alias once it is retired', () => {
+            clock.tick(Date.parse('2026-06-01T00:00:00Z') - Date.now());
+
+            return executor.start(startConfig).then(assert.fail, err => {
+                assert.strictEqual(err.name, 'RoutingError');
+                assert.match(err.message, /^Executor k8s from the executor annotation does not exist/);
+                assert.calledWith(
+                    warn,
+                    'Executor alias k8s was retired on 2026-06-01T00:00:00.000Z, use k8s-east instead'
+                );
+            });
+        });
+
+        it('registers the aliases of an added executor', () => {
+            executor.addExecutor({ name: 'test', aliases: ['sandbox'], options: testPluginOptions });
+
+            assert.strictEqual(executor.resolveAlias('sandbox'), 'test');
+            assert.throws(
+                () => executor.addExecutor({ name: 'other', pluginName: 'test', aliases: ['kubernetes'] }),
+                'Executor alias kubernetes already exists.'
+            );
+            assert.throws(
+                () => executor.addExecutor({ name: 'legacy', pluginName: 'test' }),
+                'Executor legacy already exists.'
+            );
+        });
+
+        it('throws an error for conflicting aliases', () => {
+            assert.throws(
+                () =>
+                    new Executor({
+                        ecosystem,
+                        aliases: { kubernetes: 'example', example: 'k8s' },
+                        executor: [
+                            { name: 'k8s', aliases: ['kubernetes'], options: k8sPluginOptions },
+                            { name: 'example', options: examplePluginOptions }
+                        ]
+                    }),
+                /alias example is already an executor or alias.*alias kubernetes is already an executor or alias/
+            );
+        });
+    });
+
+    describe('executor allow-lists', () => {
+        const toToken = payload => `header.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.signature`;
+        const startConfig = {
+            annotations: { 'screwdriver.cd/executor': 'example' },
+            buildId: 920,
+            container: 'node:18',
+            pipeline: { id: 1, name: 'screwdriver-cd/ui', scmContext: 'github:github.com' },
+            apiUri: 'http://api.com',
+            token: toToken({ pipelineId: 1, scope: ['temporal'] })
+        };
+        const executorConfig = [
+            {
+                name: 'k8s',
+                weightage: 1,
+                options: k8sPluginOptions
+            },
+            {
+                name: 'example',
+                weightage: 100,
+                allow: { pipelineIds: ['100-200'], scopes: ['temporal'] },
+                options: examplePluginOptions
+            }
+        ];
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            exampleExecutorMock._stop.resolves('exampleStopResult');
+        });
+
+        it('routes an allowed build to the annotated executor', () => {
+            executor = new Executor({ ecosystem, executor: executorConfig });
+
+            return executor.start({ ...startConfig, pipeline: { ...startConfig.pipeline, id: 150 } }).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+            });
+        });
+
+        it('reroutes an unauthorized build by default', () => {
+            const unauthorized = sinon.stub();
+
+            executor = new Executor({ ecosystem, executor: executorConfig });
+            executor.events.on('unauthorized', unauthorized);
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+                assert.notCalled(exampleExecutorMock._start);
+                assert.calledWith(unauthorized, { executor: 'example', buildId: 920, policy: 'fallback' });
+            });
+        });
+
+        it('rejects an unauthorized build', () => {
+            const rejected = sinon.stub();
+
+            executor = new Executor({
+                ecosystem,
+                annotationPolicy: { unauthorized: 'reject' },
+                executor: executorConfig
+            });
+            executor.events.on('rejected', rejected);
+
+            return executor.start(startConfig).then(assert.fail, err => {
+                assert.strictEqual(err.name, 'RoutingError');
+                assert.strictEqual(err.message, 'Build 920 is not allowed to use executor example');
+                assert.calledWith(rejected, sinon.match({ operation: 'start', rule: 'annotated', buildId: 920 }));
+            });
+        });
+
+        it('does not weight unauthorized builds onto a restricted executor', () => {
+            executor = new Executor({ ecosystem, executor: executorConfig });
+
+            return executor.start({ ...startConfig, annotations: {} }).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+            });
+        });
+
+        it('still stops builds on a restricted executor', () => {
+            executor = new Executor({ ecosystem, executor: executorConfig });
+
+            return executor.stop(startConfig).then(result => {
+                assert.strictEqual(result, 'exampleStopResult');
+            });
+        });
+
+        it('rejects a build no executor is allowed for', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', allow: { repositories: ['^yahoo/'] }, options: k8sPluginOptions },
+                    executorConfig[1]
+                ]
+            });
+
+            return executor.start({ ...startConfig, annotations: {} }).then(assert.fail, err => {
+                assert.strictEqual(err.name, 'RoutingError');
+                assert.strictEqual(err.message, 'No executor is allowed for build 920');
+            });
+        });
+
+        it('explains an unauthorized build without emitting events', () => {
+            const unauthorized = sinon.stub();
+
+            executor = new Executor({ ecosystem, executor: executorConfig });
+            executor.events.on('unauthorized', unauthorized);
+
+            const result = executor.explain(startConfig);
+
+            assert.strictEqual(result.executor, 'k8s');
+            assert.deepEqual(
+                result.candidates.map(({ name, allowed }) => [name, allowed]),
+                [
+                    ['k8s', true],
+                    ['example', false]
+                ]
+            );
+            assert.notCalled(unauthorized);
+        });
+    });
+
+    describe('canary rollout', () => {
+        const startConfig = {
+            annotations: {},
+            buildId: 920,
+            container: 'node:18',
+            pipeline: { id: 1, name: 'screwdriver-cd/ui', scmContext: 'github:github.com' },
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        const canaryConfig = { ...startConfig, pipeline: { ...startConfig.pipeline, id: 1234 } };
+        let randomStub;
+
+        beforeEach(() => {
+            randomStub = sinon.stub(Math, 'random').returns(0.5);
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', weightage: 10, options: k8sPluginOptions },
+                    {
+                        name: 'k8s-canary',
+                        weightage: 100,
+                        canary: {
+                            baseline: 'k8s',
+                            percentage: 10,
+                            pipelineIds: [1234],
+                            maxFailureRate: 0.2,
+                            minBuilds: 2
+                        },
+                        options: { launchVersion: 'next' }
+                    },
+                    { name: 'example', options: examplePluginOptions }
+                ]
+            });
+        });
+
+        afterEach(() => {
+            randomStub.restore();
+        });
+
+        it('loads the canary with the module and options of its baseline', () => {
+            assert.deepEqual(executor['k8s-canary'].constructorParams, {
+                ecosystem,
+                ...k8sPluginOptions,
+                launchVersion: 'next'
+            });
+        });
+
+        it('routes the pipelines of the canary to it', () => {
+            assert.deepEqual(executor.selectExecutor(canaryConfig), { name: 'k8s-canary', rule: 'weighted' });
+            assert.deepEqual(executor.selectExecutor(startConfig), { name: 'k8s', rule: 'weighted' });
+        });
+
+        it('routes a percentage of the baseline builds to the canary', () => {
+            randomStub.returns(0.05);
+
+            assert.deepEqual(executor.selectExecutor(startConfig), { name: 'k8s-canary', rule: 'weighted' });
+        });
+
+        it('halts the canary when its failure rate exceeds the baseline', () => {
+            const canaryHalted = sinon.stub();
+
+            sinon.stub(executor['k8s-canary'], 'start').rejects(new Error('bad launcher'));
+            executor.events.on('canaryHalted', canaryHalted);
+
+            return executor
+                .start(canaryConfig)
+                .catch(() => executor.start(canaryConfig))
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.message, 'bad launcher');
+                    assert.calledWith(canaryHalted, {
+                        executor: 'k8s-canary',
+                        baseline: 'k8s',
+                        failureRate: 1,
+                        baselineFailureRate: 0
+                    });
+                    assert.isTrue(executor.getCanaryState('k8s-canary').halted);
+                    assert.deepEqual(executor.selectExecutor(canaryConfig), { name: 'k8s', rule: 'weighted' });
+
+                    executor.resumeCanary('k8s-canary');
+
+                    assert.deepEqual(executor.selectExecutor(canaryConfig), { name: 'k8s-canary', rule: 'weighted' });
+                });
+        });
+
+        it('keeps routing to a canary failing as often as its baseline', () => {
+            k8sExecutorMock._start.rejects(new Error('cluster down'));
+
+            return executor
+                .start(startConfig)
+                .catch(() => executor.start(canaryConfig))
+                .catch(() => executor.start(canaryConfig))
+                .then(assert.fail, () => {
+                    assert.isFalse(executor.getCanaryState('k8s-canary').halted);
+                });
+        });
+
+        it('keeps each job on the same side of the split with the hash strategy', () => {
+            executor = new Executor({
+                ecosystem,
+                weighting: { strategy: 'hash' },
+                executor: [
+                    { name: 'k8s', weightage: 10, options: k8sPluginOptions },
+                    { name: 'k8s-canary', canary: { baseline: 'k8s', percentage: 50 } }
+                ]
+            });
+
+            const selectAll = () =>
+                [...Array(40).keys()].map(jobId => executor.selectExecutor({ ...startConfig, jobId }).name);
+            const selected = selectAll();
+
+            randomStub.returns(0);
+            assert.deepEqual(selectAll(), selected);
+            randomStub.returns(0.99);
+            assert.deepEqual(selectAll(), selected);
+            assert.include(selected, 'k8s');
+            assert.include(selected, 'k8s-canary');
+
+            executor.updateExecutor('k8s-canary', { canary: { baseline: 'k8s', percentage: 75 } });
+
+            selectAll().forEach((name, jobId) => {
+                if (selected[jobId] === 'k8s-canary') {
+                    assert.strictEqual(name, 'k8s-canary');
+                }
+            });
+        });
+
+        it('changes the canary percentage at runtime', () => {
+            executor.updateExecutor('k8s-canary', { canary: { baseline: 'k8s', percentage: 60 } });
+
+            assert.deepEqual(executor.selectExecutor(startConfig), { name: 'k8s-canary', rule: 'weighted' });
+            assert.throws(
+                () => executor.updateExecutor('k8s-canary', { canary: { baseline: 'example-canary' } }),
+                'Executor example-canary is not a baseline executor.'
+            );
+            assert.throws(() => executor.resumeCanary('k8s'), 'Executor k8s is not a canary.');
+        });
+
+        it('does not remove the baseline of a canary', () => {
+            assert.throws(() => executor.removeExecutor('k8s'), 'Executor k8s is the baseline of k8s-canary.');
+        });
+
+        it('adds a canary at runtime', () => {
+            executor.addExecutor({ name: 'example-canary', canary: { baseline: 'example', pipelineIds: [1] } });
+
+            assert.deepEqual(executor['example-canary'].constructorParams, { ecosystem, ...examplePluginOptions });
+            assert.throws(
+                () => executor.addExecutor({ name: 'other', canary: { baseline: 'k8s-canary' } }),
+                'Executor k8s-canary is not a baseline executor.'
+            );
+        });
+
+        it('throws an error for a canary of an unknown executor', () => {
+            assert.throws(
+                () =>
+                    new Executor({
+                        ecosystem,
+                        executor: [
+                            { name: 'k8s', options: k8sPluginOptions },
+                            { name: 'k8s-canary', pluginName: 'k8s', canary: { baseline: 'DNE' } }
+                        ]
+                    }),
+                '"k8s-canary.canary.baseline" DNE is not a baseline executor'
+            );
+        });
+    });
+
+    describe('routing schedules', () => {
+        const startConfig = {
+            annotations: {},
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        let now;
+
+        beforeEach(() => {
+            now = Date.parse('2026-01-01T12:00:00Z');
+            executor = new Executor({
+                ecosystem,
+                clock: () => now,
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 100,
+                        maintenance: [{ cron: '0 12 * * 0', durationMinutes: 120 }],
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'spot',
+                        pluginName: 'example',
+                        weightage: 0,
+                        schedule: [{ cron: '0 22 * * *', durationMinutes: 480, weightage: 300 }],
+                        options: examplePluginOptions
+                    }
+                ]
+            });
+        });
+
+        it('uses the weightage of the open schedule window', () => {
+            assert.deepEqual(executor.selectExecutor(startConfig), { name: 'k8s', rule: 'weighted' });
+            assert.deepEqual(executor.explain(startConfig).candidates[1], {
+                name: 'spot',
+                weightage: 0,
+                available: true,
+                allowed: true
+            });
+
+            now = Date.parse('2026-01-01T23:00:00Z');
+
+            const randomStub = sinon.stub(Math, 'random').returns(0.5);
+
+            try {
+                assert.strictEqual(executor.explain(startConfig).candidates[1].weightage, 300);
+                assert.deepEqual(executor.selectExecutor(startConfig), { name: 'spot', rule: 'weighted' });
+            } finally {
+                randomStub.restore();
+            }
+        });
+
+        it('takes no new builds during a maintenance window', () => {
+            // 2026-01-04 is a Sunday
+            now = Date.parse('2026-01-04T13:00:00Z');
+
+            assert.isFalse(executor.isExecutorAvailable('k8s'));
+            assert.deepEqual(executor.selectExecutor(startConfig, { operation: 'start' }), {
+                name: 'spot',
+                rule: 'default'
+            });
+
+            now = Date.parse('2026-01-04T14:00:00Z');
+
+            assert.isTrue(executor.isExecutorAvailable('k8s'));
+        });
+
+        it('reroutes or rejects builds annotated with an executor in a maintenance window', () => {
+            const annotatedConfig = { ...startConfig, annotations: { 'screwdriver.cd/executor': 'k8s' } };
+
+            now = Date.parse('2026-01-04T13:00:00Z');
+
+            assert.deepEqual(executor.selectExecutor(annotatedConfig, { operation: 'start' }), {
+                name: 'spot',
+                rule: 'default'
+            });
+            assert.deepEqual(executor.selectExecutor(annotatedConfig, { operation: 'stop' }), {
+                name: 'k8s',
+                rule: 'annotated'
+            });
+
+            executor = new Executor({
+                ecosystem,
+                clock: () => now,
+                annotationPolicy: { draining: 'reject' },
+                executor: [
+                    {
+                        name: 'k8s',
+                        maintenance: [{ cron: '0 12 * * 0', durationMinutes: 120 }],
+                        options: k8sPluginOptions
+                    }
+                ]
+            });
+
+            assert.throws(
+                () => executor.selectExecutor(annotatedConfig, { operation: 'start' }),
+                'Executor k8s from the executor annotation is in a maintenance window'
+            );
+        });
+
+        it('uses the clock for circuits', () => {
+            executor.addExecutor({
+                name: 'test',
+                weightage: 0,
+                circuitBreaker: { failureThreshold: 1, coolDownMs: 60000 },
+                options: testPluginOptions
+            });
+            testExecutorMock._start.rejects(new Error('down'));
+
+            return executor
+                .start({ ...startConfig, annotations: { 'screwdriver.cd/executor': 'test' } })
+                .then(assert.fail, () => {
+                    assert.isFalse(executor.isExecutorAvailable('test'));
+
+                    now += 60000;
+
+                    assert.isTrue(executor.isExecutorAvailable('test'));
+                });
+        });
+    });
+
+    describe('draining', () => {
+        const startConfig = {
+            annotations: {},
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+        const annotatedConfig = { ...startConfig, annotations: { 'screwdriver.cd/executor': 'k8s' } };
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            k8sExecutorMock._stop.resolves('k8sStopResult');
+            k8sExecutorMock._verify.resolves('k8sVerifyResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+
+            executor = new Executor({
+                ecosystem,
+                defaultPlugin: 'k8s',
+                executor: [
+                    { name: 'k8s', weightage: 100, options: k8sPluginOptions },
+                    { name: 'example', options: examplePluginOptions }
+                ]
+            });
+        });
+
+        it('routes new builds away from a draining executor', () => {
+            executor.drainExecutor('k8s');
+
+            assert.isTrue(executor.isDraining('k8s'));
+            assert.isFalse(executor.isExecutorAvailable('k8s'));
+            assert.deepEqual(executor.selectExecutor(startConfig, { operation: 'start' }), {
+                name: 'example',
+                rule: 'default'
+            });
+        });
+
+        it('still stops and verifies builds running on a draining executor', () =>
+            executor.start(startConfig).then(() => {
+                executor.drainExecutor('k8s');
+
+                return Promise.all([executor.verify(startConfig), executor.stop(startConfig)]).then(results => {
+                    assert.deepEqual(results, ['k8sVerifyResult', 'k8sStopResult']);
+                });
+            }));
+
+        it('routes the other operations of builds it does not know to a draining executor', () => {
+            executor.drainExecutor('k8s');
+
+            assert.deepEqual(executor.selectExecutor(startConfig, { operation: 'stop' }), {
+                name: 'k8s',
+                rule: 'weighted'
+            });
+
+            return Promise.all([executor.verify(startConfig), executor.stop(startConfig)]).then(results => {
+                assert.deepEqual(results, ['k8sVerifyResult', 'k8sStopResult']);
+                assert.notCalled(exampleExecutorMock._stop);
+            });
+        });
+
+        it('reroutes builds annotated with a draining executor by default', () => {
+            executor.drainExecutor('k8s');
+
+            return executor.start(annotatedConfig).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+            });
+        });
+
+        it('rejects builds annotated with a draining executor', () => {
+            executor = new Executor({
+                ecosystem,
+                annotationPolicy: { draining: 'reject' },
+                executor: [
+                    { name: 'k8s', draining: true, options: k8sPluginOptions },
+                    { name: 'example', options: examplePluginOptions }
+                ]
+            });
+
+            return executor.start(annotatedConfig).then(assert.fail, err => {
+                assert.strictEqual(err.name, 'RoutingError');
+                assert.strictEqual(err.message, 'Executor k8s from the executor annotation is draining');
+            });
+        });
+
+        it('refuses new builds when every executor is draining', () => {
+            executor.drainExecutor('k8s');
+            executor.drainExecutor('example');
+
+            return executor.start(startConfig).then(assert.fail, err => {
+                assert.strictEqual(err.name, 'RoutingError');
+                assert.strictEqual(err.message, 'All executors are draining, cannot start build 920');
+            });
+        });
+
+        it('routes builds to an executor again once it is undrained', () => {
+            executor.drainExecutor('k8s');
+            executor.undrainExecutor('k8s');
+
+            assert.isFalse(executor.isDraining('k8s'));
+            assert.throws(() => executor.drainExecutor('DNE'), 'Executor DNE does not exist.');
+
+            return executor.start(annotatedConfig).then(result => {
+                assert.strictEqual(result, 'k8sExecutorResult');
+            });
+        });
+    });
+
+    describe('health check', () => {
+        beforeEach(() => {
+            k8sExecutorMock.healthCheck = sinon.stub().resolves({ ok: true });
+            exampleExecutorMock.healthCheck = sinon.stub().rejects(new Error('connection refused'));
+            testExecutorMock.healthCheck = sinon.stub().returns(new Promise(() => {}));
+        });
+
+        it('reports the health of every executor', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', circuitBreaker: { failureThreshold: 1 }, options: k8sPluginOptions },
+                    { name: 'example', options: examplePluginOptions },
+                    { name: 'test', draining: true, options: testPluginOptions },
+                    { name: 'DNE' }
+                ]
+            });
+
+            return executor.healthCheck({ timeout: 10 }).then(report => {
+                const [loadFailure] = report.loadFailures;
+
+                assert.strictEqual(loadFailure.name, 'DNE');
+                assert.match(loadFailure.error, /^Cannot find module 'screwdriver-executor-DNE'/);
+                assert.deepEqual(
+                    { ...report, loadFailures: undefined },
+                    {
+                        healthy: false,
+                        executors: {
+                            k8s: { reachable: true, circuit: 'closed', draining: false, available: true },
+                            example: {
+                                reachable: false,
+                                circuit: 'closed',
+                                draining: false,
+                                available: true,
+                                error: 'connection refused'
+                            },
+                            test: {
+                                reachable: false,
+                                circuit: 'closed',
+                                draining: true,
+                                available: false,
+                                error: 'Timed out after 10ms'
+                            }
+                        },
+                        loadFailures: undefined
+                    }
+                );
+            });
+        });
+
+        it('reports plugins that cannot be probed as unknown', () => {
+            delete k8sExecutorMock.healthCheck;
+            k8sExecutorMock.stats.returns({});
+            executor = new Executor({ ecosystem, executor: [{ name: 'k8s', options: k8sPluginOptions }] });
+
+            return executor.healthCheck().then(report => {
+                assert.isNull(report.healthy);
+                assert.isNull(report.executors.k8s.reachable);
+            });
+        });
+
+        it('probes plugins without a health check through their stats', () => {
+            delete k8sExecutorMock.healthCheck;
+            delete exampleExecutorMock.healthCheck;
+            k8sExecutorMock.stats.returns({ requests: { total: 1 }, breaker: { isClosed: true } });
+            exampleExecutorMock.stats.returns({ breaker: { isClosed: false } });
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', options: k8sPluginOptions },
+                    { name: 'example', options: examplePluginOptions }
+                ]
+            });
+
+            return executor
+                .healthCheck()
+                .then(report => {
+                    assert.isFalse(report.healthy);
+                    assert.isTrue(report.executors.k8s.reachable);
+                    assert.isFalse(report.executors.example.reachable);
+                    assert.strictEqual(report.executors.example.error, 'Request breaker of the plugin is open');
+
+                    exampleExecutorMock.stats.throws(new Error('not ready'));
+
+                    return executor.healthCheck();
+                })
+                .then(report => {
+                    assert.strictEqual(report.executors.example.error, 'not ready');
+
+                    executor.removeExecutor('example');
+
+                    return executor.healthCheck();
+                })
+                .then(report => {
+                    assert.isTrue(report.healthy);
+                });
+        });
+
+        it('reports an open circuit', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: [{ name: 'k8s', circuitBreaker: { failureThreshold: 1 }, options: k8sPluginOptions }]
+            });
+            executor._circuits.k8s.onFailure(Date.now());
+
+            return executor.healthCheck().then(report => {
+                assert.isTrue(report.healthy);
+                assert.strictEqual(report.executors.k8s.circuit, 'open');
+                assert.isFalse(report.executors.k8s.available);
+            });
+        });
+    });
+
+    describe('container patterns', () => {
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 10,
+                        exclusions: ['glob:*-arm64', 'exact:node:18-alpine'],
+                        options: k8sPluginOptions
+                    },
+                    {
+                        name: 'example',
+                        weightage: 10,
+                        inclusions: ['glob:*-arm64'],
+                        options: examplePluginOptions
+                    }
+                ]
+            });
+        });
+
+        it('matches glob and exact patterns', () => {
+            const allowed = container => executor.checkExclusions(executor._executors, container).map(e => e.name);
+
+            assert.deepEqual(allowed('node:18-arm64'), ['example']);
+            assert.deepEqual(allowed('node:18-alpine'), []);
+            assert.deepEqual(allowed('node:18-alpine3.19'), ['k8s']);
+        });
+
+        it('matches the parts of the image reference', () => {
+            executor.updateExecutor('k8s', {
+                exclusions: [{ registry: 'exact:docker.io', repository: 'glob:library/*' }]
+            });
+            executor.updateExecutor('example', { inclusions: [{ tag: 'glob:*-arm64' }] });
+
+            const allowed = container => executor.checkExclusions(executor._executors, container).map(e => e.name);
+
+            assert.deepEqual(allowed('node:18'), []);
+            assert.deepEqual(allowed('docker.io/library/node:18-arm64'), ['example']);
+            assert.deepEqual(allowed('ghcr.io/library/node:18'), ['k8s']);
+            assert.deepEqual(allowed('screwdrivercd/launcher:v6-arm64'), ['k8s', 'example']);
+        });
+
+        it('refuses unsafe patterns at runtime', () => {
+            assert.throws(
+                () => executor.updateExecutor('k8s', { exclusions: ['^(\\w+\\s?)*$'] }),
+                /^Invalid executor config: "exclusions\[0\]" is not a valid regular expression/
+            );
+        });
+
+        it('does not match containers that are too long', () => {
+            assert.deepEqual(
+                executor.checkExclusions(executor._executors, `${'a'.repeat(2000)}-arm64`).map(e => e.name),
+                ['k8s']
+            );
+        });
+    });
+
+    describe('platforms', () => {
+        const startConfig = {
+            annotations: {},
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', weightage: 10, options: k8sPluginOptions },
+                    {
+                        name: 'example',
+                        weightage: 10,
+                        platforms: ['linux/arm64', 'linux/arm/v7'],
+                        options: examplePluginOptions
+                    }
+                ]
+            });
+        });
+
+        it('routes builds to the executors supporting their platform', () => {
+            const selectAll = config =>
+                [0, 0.99].map(random => {
+                    const randomStub = sinon.stub(Math, 'random').returns(random);
+
+                    try {
+                        return executor.selectExecutor(config, { operation: 'start' }).name;
+                    } finally {
+                        randomStub.restore();
+                    }
+                });
+
+            assert.deepEqual(selectAll(startConfig), ['k8s', 'k8s']);
+            assert.deepEqual(selectAll({ ...startConfig, container: 'node:18-arm64' }), ['example', 'example']);
+            assert.deepEqual(
+                selectAll({ ...startConfig, annotations: { 'screwdriver.cd/platform': 'linux/arm/v7' } }),
+                ['example', 'example']
+            );
+        });
+
+        it('rejects builds no executor supports the platform of', () =>
+            executor
+                .start({ ...startConfig, annotations: { 'screwdriver.cd/platform': 's390x' } })
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.name, 'RoutingError');
+                    assert.strictEqual(
+                        err.message,
+                        'No executor supports platform linux/s390x of build 920, ' +
+                            'supported platforms are: linux/amd64, linux/arm64, linux/arm/v7'
+                    );
+                    assert.notCalled(k8sExecutorMock._start);
+                }));
+
+        it('rejects builds annotated with an executor not supporting their platform', () =>
+            executor
+                .start({
+                    ...startConfig,
+                    annotations: { 'screwdriver.cd/executor': 'k8s', 'screwdriver.cd/platform': 'arm64' }
+                })
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.name, 'RoutingError');
+                    assert.strictEqual(
+                        err.message,
+                        'Executor k8s from the executor annotation does not support platform linux/arm64 of ' +
+                            'build 920, its platforms are: linux/amd64'
+                    );
+                    assert.notCalled(k8sExecutorMock._start);
+                    assert.notCalled(exampleExecutorMock._start);
+                }));
+
+        it('rejects builds annotated with an executor that cannot offer their resources', () => {
+            executor.updateExecutor('example', { maxResources: { cpu: 'LOW' } });
+
+            return executor
+                .start({
+                    ...startConfig,
+                    container: 'node:18-arm64',
+                    annotations: { 'screwdriver.cd/executor': 'example', 'screwdriver.cd/cpu': 'HIGH' }
+                })
+                .then(assert.fail, err => {
+                    assert.strictEqual(
+                        err.message,
+                        'Executor example from the executor annotation cannot offer the resources requested by ' +
+                            'build 920: cpu HIGH'
+                    );
+                });
+        });
+
+        it('does not route by platform when no executor declares platforms', () => {
+            executor.updateExecutor('example', { platforms: undefined });
+
+            assert.isTrue(executor.supportsPlatform('k8s', { ...startConfig, container: 'node:18-arm64' }));
+        });
+    });
+
+    describe('resources', () => {
+        const startConfig = {
+            annotations: {},
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    {
+                        name: 'k8s',
+                        weightage: 10,
+                        maxResources: { cpu: 'HIGH', ram: 12, disk: 'LOW' },
+                        options: k8sPluginOptions
+                    },
+                    { name: 'example', weightage: 10, maxResources: { cpu: 16 }, options: examplePluginOptions }
+                ]
+            });
+        });
+
+        it('routes builds to the executors that can offer their resources', () => {
+            const selectAll = config =>
+                [0, 0.99].map(random => {
+                    const randomStub = sinon.stub(Math, 'random').returns(random);
+
+                    try {
+                        return executor.selectExecutor(config, { operation: 'start' }).name;
+                    } finally {
+                        randomStub.restore();
+                    }
+                });
+
+            assert.deepEqual(selectAll(startConfig), ['k8s', 'example']);
+            assert.deepEqual(selectAll({ ...startConfig, annotations: { 'screwdriver.cd/ram': 'TURBO' } }), [
+                'example',
+                'example'
+            ]);
+            assert.deepEqual(selectAll({ ...startConfig, annotations: { 'beta.screwdriver.cd/cpu': 'TURBO' } }), [
+                'example',
+                'example'
+            ]);
+            assert.deepEqual(selectAll({ ...startConfig, annotations: { 'screwdriver.cd/disk': 'HIGH' } }), [
+                'example',
+                'example'
+            ]);
+        });
+
+        it('rejects builds no executor can offer the resources of', () =>
+            executor
+                .start({
+                    ...startConfig,
+                    annotations: { 'screwdriver.cd/cpu': 24, 'screwdriver.cd/ram': 'TURBO' }
+                })
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.name, 'RoutingError');
+                    assert.strictEqual(
+                        err.message,
+                        'No executor can offer the resources requested by build 920: cpu 24, ram TURBO'
+                    );
+                    assert.notCalled(k8sExecutorMock._start);
+                    assert.notCalled(exampleExecutorMock._start);
+                }));
+
+        it('rejects builds no single executor can offer the platform and the resources of', () => {
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', maxResources: { ram: 'TURBO' }, options: k8sPluginOptions },
+                    {
+                        name: 'example',
+                        platforms: ['linux/arm64'],
+                        maxResources: { ram: 'LOW' },
+                        options: examplePluginOptions
+                    }
+                ]
+            });
+
+            return executor
+                .start({
+                    ...startConfig,
+                    annotations: { 'screwdriver.cd/platform': 'arm64', 'screwdriver.cd/ram': 'HIGH' }
+                })
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.name, 'RoutingError');
+                    assert.strictEqual(
+                        err.message,
+                        'No executor supports platform linux/arm64 and can offer the resources requested by build ' +
+                            '920: ram HIGH'
+                    );
+                });
+        });
+
+        it('uses custom resource tiers', () => {
+            executor = new Executor({
+                ecosystem,
+                resourceTiers: { cpu: { TURBO: 16 } },
+                executor: [
+                    { name: 'k8s', maxResources: { cpu: 'HIGH' }, options: k8sPluginOptions },
+                    { name: 'example', maxResources: { cpu: 'TURBO' }, options: examplePluginOptions }
+                ]
+            });
+
+            assert.isTrue(executor.canSatisfyResources('example', { annotations: { 'screwdriver.cd/cpu': 16 } }));
+            assert.isFalse(executor.canSatisfyResources('k8s', { annotations: { 'screwdriver.cd/cpu': 'TURBO' } }));
+        });
+
+        it('does not restrict executors without maximum resources', () => {
+            executor.updateExecutor('example', { maxResources: undefined });
+
+            assert.isTrue(executor.canSatisfyResources('example', { annotations: { 'screwdriver.cd/cpu': 64 } }));
+            assert.isFalse(executor.canSatisfyResources('k8s', { annotations: { 'screwdriver.cd/cpu': 64 } }));
+        });
+    });
+
+    describe('fallbacks', () => {
+        const startConfig = {
+            annotations: { 'screwdriver.cd/executor': 'k8s' },
+            buildId: 920,
+            container: 'node:18',
+            apiUri: 'http://api.com',
+            token: 'qwer'
+        };
+
+        beforeEach(() => {
+            k8sExecutorMock._start.resolves('k8sExecutorResult');
+            exampleExecutorMock._start.resolves('exampleExecutorResult');
+            testExecutorMock._start.resolves('testExecutorResult');
+
+            executor = new Executor({
+                ecosystem,
+                executor: [
+                    { name: 'k8s', weightage: 10, fallbacks: ['example', 'test'], options: k8sPluginOptions },
+                    { name: 'example', weightage: 0, options: examplePluginOptions },
+                    { name: 'test', weightage: 0, options: testPluginOptions },
+                    { name: 'k8s-vm', pluginName: 'DNE', fallbacks: ['k8s', 'test'] }
+                ]
+            });
+        });
+
+        it('falls back in order when the annotated executor is unavailable', () => {
+            const fallback = sinon.stub();
+
+            executor.events.on('fallback', fallback);
+            executor.drainExecutor('k8s');
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'exampleExecutorResult');
+                assert.notCalled(k8sExecutorMock._start);
+                assert.calledWith(fallback, { executor: 'k8s', fallback: 'example', buildId: 920 });
+
+                executor.drainExecutor('example');
+
+                assert.deepEqual(executor.selectExecutor(startConfig, { operation: 'start' }), {
+                    name: 'test',
+                    rule: 'annotated'
+                });
+            });
+        });
+
+        it('does not fall back for builds not allowed on the annotated executor', () => {
+            const unauthorized = sinon.stub();
+
+            executor = new Executor({
+                ecosystem,
+                annotationPolicy: { unauthorized: 'reject' },
+                executor: [
+                    {
+                        name: 'k8s',
+                        allow: { pipelineIds: [1] },
+                        draining: true,
+                        fallbacks: ['example'],
+                        options: k8sPluginOptions
+                    },
+                    { name: 'example', options: examplePluginOptions }
+                ]
+            });
+            executor.events.on('unauthorized', unauthorized);
+
+            return executor.start(startConfig).then(assert.fail, err => {
+                assert.strictEqual(err.name, 'RoutingError');
+                assert.strictEqual(err.message, 'Build 920 is not allowed to use executor k8s');
+                assert.calledWith(unauthorized, { executor: 'k8s', buildId: 920, policy: 'reject' });
+                assert.notCalled(exampleExecutorMock._start);
+            });
+        });
+
+        it('falls back when the annotated executor failed to load', () => {
+            const vmConfig = { ...startConfig, annotations: { 'screwdriver.cd/executor': 'k8s-vm' } };
+
+            assert.isFalse(executor.isRegistered('k8s-vm'));
+            assert.deepEqual(executor.selectExecutor(vmConfig, { operation: 'start' }), {
+                name: 'k8s',
+                rule: 'annotated'
+            });
+        });
+
+        it('tries the fallbacks in order when the start fails', () => {
+            k8sExecutorMock._start.rejects(new Error('k8s is down'));
+            exampleExecutorMock._start.rejects(new Error('example is down'));
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'testExecutorResult');
+                assert.calledOnce(k8sExecutorMock._start);
+                assert.calledOnce(exampleExecutorMock._start);
+            });
+        });
+
+        it('continues the chain of an unavailable annotated executor when its fallback fails', () => {
+            executor.drainExecutor('k8s');
+            exampleExecutorMock._start.rejects(new Error('example is down'));
+
+            return executor.start(startConfig).then(result => {
+                assert.strictEqual(result, 'testExecutorResult');
+                assert.notCalled(k8sExecutorMock._start);
+                assert.calledOnce(exampleExecutorMock._start);
+                assert.calledOnce(testExecutorMock._start);
+            });
+        });
+
+        it('tries the fallbacks before the weighted executors on failover', () => {
+            executor = new Executor({
+                ecosystem,
+                failover: true,
+                executor: [
+                    { name: 'k8s', weightage: 10, fallbacks: ['test'], options: k8sPluginOptions },
+                    { name: 'example', weightage: 10, options: examplePluginOptions },
+                    { name: 'test', weightage: 0, options: testPluginOptions }
+                ]
+            });
+
+            assert.deepEqual(executor.getFailoverExecutors(startConfig, 'k8s'), ['k8s', 'test', 'example']);
+
+            executor.drainExecutor('test');
+
+            assert.deepEqual(executor.getFailoverExecutors(startConfig, 'k8s'), ['k8s', 'example']);
+        });
+
+        it('does not remove a fallback of another executor', () => {
+            assert.throws(() => executor.removeExecutor('test'), 'Executor test is a fallback of k8s, k8s-vm.');
+
+            assert.throws(() => executor.removeExecutor('example'), 'Executor example is a fallback of k8s.');
+
+            executor.updateExecutor('k8s', { fallbacks: [] });
+            executor.removeExecutor('example');
+
+            assert.isFalse(executor.isRegistered('example'));
+        });
+
+        it('validates the fallbacks', () => {
+            assert.throws(
+                () => executor.addExecutor({ name: 'other', fallbacks: ['DNE'], options: k8sPluginOptions }),
+                'Executor DNE is not a fallback executor.'
+            );
+            assert.throws(
+                () => executor.updateExecutor('example', { fallbacks: ['example'] }),
+                'Executor example is not a fallback executor.'
+            );
+
+            executor.updateExecutor('example', { fallbacks: ['k8s-vm', 'k8s'] });
+
+            assert.deepEqual(executor.getFallbacks('example', startConfig), ['k8s']);
+            assert.throws(
+                () =>
+                    new Executor({
+                        ecosystem,
+                        executor: [{ name: 'k8s', fallbacks: ['k8s', 'DNE'], options: k8sPluginOptions }]
+                    }),
+                '"k8s.fallbacks" k8s is not another configured executor; ' +
+                    '"k8s.fallbacks" DNE is not another configured executor'
+            );
+        });
+    });
 });
@@ -0,0 +1,40 @@
+'use strict';
+
+const { assert } = require('chai');
+const { collectAliases, normalizeAlias } = require('../../lib/aliases');
+
+describe('aliases', () => {
+    it('normalizes an alias name', () => {
+        assert.deepEqual(normalizeAlias('kubernetes', 'k8s'), {
+            name: 'kubernetes',
+            executor: 'k8s',
+            deprecated: false,
+            retireAt: undefined
+        });
+    });
+
+    it('treats an alias with a retirement date as deprecated', () => {
+        assert.deepEqual(normalizeAlias({ name: 'k8s', retireAt: '2026-06-01T00:00:00Z' }, 'k8s-east'), {
+            name: 'k8s',
+            executor: 'k8s-east',
+            deprecated: true,
+            retireAt: Date.parse('2026-06-01T00:00:00Z')
+        });
+    });
+
+    it('collects the global and the executor aliases', () => {
+        const aliases = collectAliases({ legacy: 'example', old: { executor: 'example', deprecated: true } }, [
+            { name: 'k8s', aliases: ['kubernetes'] },
+            { name: 'example' }
+        ]);
+
+        assert.deepEqual(
+            aliases.map(({ name, executor, deprecated }) => [name, executor, deprecated]),
+            [
+                ['legacy', 'example', false],
+                ['old', 'example', true],
+                ['kubernetes', 'k8s', false]
+            ]
+        );
+    });
+});
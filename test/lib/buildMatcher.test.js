@@ -0,0 +1,98 @@
+'use strict';
+
+const { assert } = require('chai');
+const {
+    getPipelineId,
+    getTokenPayload,
+    isAllowedBuild,
+    matchesBuild,
+    normalizeAnnotations
+} = require('../../lib/buildMatcher');
+
+const toToken = payload => `header.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.signature`;
+
+describe('buildMatcher', () => {
+    const config = {
+        annotations: {
+            'beta.screwdriver.cd/cpu': 'HIGH',
+            'screwdriver.cd/ram': 16
+        },
+        jobName: 'deploy-prod',
+        pipeline: { id: 250, name: 'screwdriver-cd/executor-router', scmContext: 'github:github.com' }
+    };
+
+    it('normalizes annotation names', () => {
+        assert.deepEqual(normalizeAnnotations(config.annotations), {
+            'screwdriver.cd/cpu': 'HIGH',
+            'screwdriver.cd/ram': 16
+        });
+        assert.deepEqual(normalizeAnnotations(), {});
+    });
+
+    it('reads the pipeline ID from the build config', () => {
+        assert.strictEqual(getPipelineId(config), 250);
+        assert.strictEqual(getPipelineId({ pipelineId: '12' }), 12);
+        assert.isUndefined(getPipelineId({}));
+    });
+
+    it('matches pipeline IDs and ranges', () => {
+        assert.isTrue(matchesBuild({ pipelineIds: [1, '200-300'] }, config));
+        assert.isTrue(matchesBuild({ pipelineIds: [250] }, config));
+        assert.isFalse(matchesBuild({ pipelineIds: ['1-100', 251] }, config));
+        assert.isFalse(matchesBuild({ pipelineIds: [250] }, {}));
+    });
+
+    it('matches repository and job name patterns', () => {
+        assert.isTrue(matchesBuild({ repositories: ['^screwdriver-cd/'] }, config));
+        assert.isFalse(matchesBuild({ repositories: ['^yahoo/'] }, config));
+        assert.isTrue(matchesBuild({ jobNames: ['^deploy-'] }, config));
+        assert.isFalse(matchesBuild({ jobNames: ['^test$'] }, config));
+        assert.isFalse(matchesBuild({ jobNames: ['.*'] }, {}));
+    });
+
+    it('matches annotation values', () => {
+        assert.isTrue(matchesBuild({ annotations: { 'screwdriver.cd/cpu': 'HIGH' } }, config));
+        assert.isTrue(matchesBuild({ annotations: { 'screwdriver.cd/ram': ['HIGH', '16'] } }, config));
+        assert.isFalse(matchesBuild({ annotations: { 'screwdriver.cd/cpu': 'LOW' } }, config));
+        assert.isFalse(matchesBuild({ annotations: { 'screwdriver.cd/disk': 'HIGH' } }, config));
+    });
+
+    it('requires every criteria to match', () => {
+        assert.isTrue(matchesBuild({ pipelineIds: [250], jobNames: ['^deploy'] }, config));
+        assert.isFalse(matchesBuild({ pipelineIds: [250], jobNames: ['^test'] }, config));
+    });
+
+    it('does not match without criteria', () => {
+        assert.isFalse(matchesBuild({}, config));
+    });
+
+    it('decodes the payload of a token', () => {
+        assert.deepEqual(getTokenPayload(toToken({ pipelineId: 250, scope: ['temporal'] })), {
+            pipelineId: 250,
+            scope: ['temporal']
+        });
+        assert.deepEqual(getTokenPayload('not a token'), {});
+        assert.deepEqual(getTokenPayload(undefined), {});
+    });
+
+    it('allows builds of the listed pipelines or repositories', () => {
+        assert.isTrue(isAllowedBuild({ pipelineIds: [250] }, config));
+        assert.isTrue(isAllowedBuild({ pipelineIds: [1], repositories: ['^screwdriver-cd/'] }, config));
+        assert.isFalse(isAllowedBuild({ pipelineIds: [1], repositories: ['^yahoo/'] }, config));
+        assert.isTrue(isAllowedBuild({ pipelineIds: [250] }, { token: toToken({ pipelineId: 250 }) }));
+        assert.isFalse(isAllowedBuild({ pipelineIds: [250] }, {}));
+    });
+
+    it('requires every scope of the allow-list', () => {
+        const scoped = { ...config, token: toToken({ scope: ['temporal', 'gpu'] }) };
+
+        assert.isTrue(isAllowedBuild({ scopes: ['gpu'] }, scoped));
+        assert.isFalse(isAllowedBuild({ scopes: ['gpu', 'admin'] }, scoped));
+        assert.isFalse(isAllowedBuild({ pipelineIds: [1], scopes: ['gpu'] }, scoped));
+        assert.isFalse(isAllowedBuild({ scopes: ['gpu'] }, config));
+    });
+
+    it('allows every build with an empty allow-list', () => {
+        assert.isTrue(isAllowedBuild({}, config));
+    });
+});
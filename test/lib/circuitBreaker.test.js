@@ -0,0 +1,81 @@
+'use strict';
+
+const { assert } = require('chai');
+const CircuitBreaker = require('../../lib/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+    let circuit;
+
+    beforeEach(() => {
+        circuit = new CircuitBreaker({ failureThreshold: 2, windowMs: 1000, coolDownMs: 5000 });
+    });
+
+    it('defaults the thresholds', () => {
+        circuit = new CircuitBreaker();
+
+        assert.strictEqual(circuit.failureThreshold, 5);
+        assert.strictEqual(circuit.windowMs, 60000);
+        assert.strictEqual(circuit.coolDownMs, 300000);
+        assert.isTrue(circuit.isAvailable(0));
+    });
+
+    it('opens after consecutive failures in the window', () => {
+        circuit.onFailure(0);
+        assert.isTrue(circuit.isAvailable(0));
+
+        circuit.onFailure(500);
+        assert.strictEqual(circuit.state, 'open');
+        assert.isFalse(circuit.isAvailable(4000));
+    });
+
+    it('does not open when the failures are outside of the window', () => {
+        circuit.onFailure(0);
+        circuit.onFailure(1500);
+
+        assert.strictEqual(circuit.state, 'closed');
+        assert.strictEqual(circuit.failures, 1);
+    });
+
+    it('resets the failures on success', () => {
+        circuit.onFailure(0);
+        circuit.onSuccess();
+        circuit.onFailure(100);
+
+        assert.strictEqual(circuit.state, 'closed');
+    });
+
+    it('allows a single trial after the cool-down and closes when it succeeds', () => {
+        circuit.onFailure(0);
+        circuit.onFailure(0);
+
+        assert.isTrue(circuit.isAvailable(5000));
+        circuit.onAttempt(5000);
+        assert.strictEqual(circuit.state, 'half-open');
+        assert.isFalse(circuit.isAvailable(5000));
+
+        circuit.onSuccess();
+        assert.strictEqual(circuit.state, 'closed');
+        assert.isTrue(circuit.isAvailable(5000));
+    });
+
+    it('opens again when the trial fails', () => {
+        circuit.onFailure(0);
+        circuit.onFailure(0);
+        circuit.onAttempt(5000);
+        circuit.onFailure(5000);
+
+        assert.strictEqual(circuit.state, 'open');
+        assert.isFalse(circuit.isAvailable(9000));
+        assert.isTrue(circuit.isAvailable(10000));
+    });
+
+    it('only records the attempts of a closed circuit and of the trial', () => {
+        assert.isTrue(circuit.onAttempt(0));
+        circuit.onFailure(0);
+        circuit.onFailure(0);
+
+        assert.isFalse(circuit.onAttempt(900));
+        assert.isTrue(circuit.onAttempt(5000));
+        assert.isFalse(circuit.onAttempt(5000));
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const { assert } = require('chai');
+const { matchesContainer, parseImageReference } = require('../../lib/imageReference');
+
+describe('imageReference', () => {
+    it('normalizes docker hub references', () => {
+        const expected = { registry: 'docker.io', repository: 'library/node', tag: '18', digest: undefined };
+
+        assert.deepEqual(parseImageReference('node:18'), expected);
+        assert.deepEqual(parseImageReference('docker.io/library/node:18'), expected);
+        assert.deepEqual(parseImageReference('index.docker.io/library/node:18'), expected);
+        assert.deepEqual(parseImageReference('node'), { ...expected, tag: 'latest' });
+        assert.deepEqual(parseImageReference('screwdrivercd/launcher:v6'), {
+            ...expected,
+            repository: 'screwdrivercd/launcher',
+            tag: 'v6'
+        });
+    });
+
+    it('parses registries, tags and digests', () => {
+        assert.deepEqual(parseImageReference('ghcr.io/org/app:1.0-arm64'), {
+            registry: 'ghcr.io',
+            repository: 'org/app',
+            tag: '1.0-arm64',
+            digest: undefined
+        });
+        assert.deepEqual(parseImageReference('localhost:5000/team/app@sha256:abc'), {
+            registry: 'localhost:5000',
+            repository: 'team/app',
+            tag: undefined,
+            digest: 'sha256:abc'
+        });
+        assert.deepEqual(parseImageReference('node:18@sha256:abc'), {
+            registry: 'docker.io',
+            repository: 'library/node',
+            tag: '18',
+            digest: 'sha256:abc'
+        });
+    });
+
+    it('matches a container against a pattern or image fields', () => {
+        const container = 'ghcr.io/org/app:1.0-arm64';
+        const image = parseImageReference(container);
+
+        assert.isTrue(matchesContainer('arm64$', container, image));
+        assert.isTrue(matchesContainer({ registry: 'exact:ghcr.io' }, container, image));
+        assert.isTrue(matchesContainer({ repository: 'glob:org/*', tag: 'glob:*-arm64' }, container, image));
+        assert.isFalse(matchesContainer({ repository: 'glob:org/*', tag: 'glob:*-amd64' }, container, image));
+        assert.isFalse(matchesContainer({ digest: '.*' }, container, image));
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { assert } = require('chai');
+const MemoryBuildStore = require('../../lib/memoryBuildStore');
+
+describe('MemoryBuildStore', () => {
+    let now;
+    let store;
+
+    beforeEach(() => {
+        now = 0;
+        store = new MemoryBuildStore({ ttlMs: 1000, clock: () => now });
+    });
+
+    it('defaults the ttl to a day', () => {
+        assert.strictEqual(new MemoryBuildStore().ttlMs, 86400000);
+    });
+
+    it('keeps builds until they are removed', () => {
+        store.set(920, 'k8s');
+        now = 5000;
+
+        assert.strictEqual(store.get('920'), 'k8s');
+
+        store.remove(920);
+
+        assert.isUndefined(store.get(920));
+    });
+
+    it('forgets expired builds once the ttl has passed since they were first expired', () => {
+        store.set(920, 'k8s');
+        store.set(921, 'test');
+        store.expire(920);
+        now = 999;
+        store.expire(920);
+
+        assert.strictEqual(store.get(920), 'k8s');
+
+        now = 1000;
+
+        assert.isUndefined(store.get(920));
+        assert.strictEqual(store.get(921), 'test');
+        assert.strictEqual(store.builds.size, 1);
+    });
+
+    it('keeps a build recorded again after it was expired', () => {
+        store.set(920, 'k8s');
+        store.expire(920);
+        store.set(920, 'test');
+        now = 1000;
+
+        assert.strictEqual(store.get(920), 'test');
+    });
+});
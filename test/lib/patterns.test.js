@@ -0,0 +1,108 @@
+'use strict';
+
+const { assert } = require('chai');
+const {
+    MAX_VALUE_LENGTH,
+    compilePattern,
+    getMatcher,
+    isUnsafeRegex,
+    matchesAnyPattern,
+    matchesGlob
+} = require('../../lib/patterns');
+
+describe('patterns', () => {
+    it('detects regular expressions that can backtrack catastrophically', () => {
+        ['(a+)+', '(\\w*\\s?)*$', '((ab)*c)+', '(x+x+){2,}', '(a)\\1', '(?<n>a)\\k<n>'].forEach(pattern =>
+            assert.isTrue(isUnsafeRegex(pattern), pattern)
+        );
+        ['^node:1[0-9]$', 'rhel6', '(arm64|aarch64)', '[(a+)]+', '^\\(a+\\)+', '^(?:foo)+bar*'].forEach(pattern =>
+            assert.isFalse(isUnsafeRegex(pattern), pattern)
+        );
+    });
+
+    it('detects quantified alternations and adjacent unbounded quantifiers', () => {
+        [
+            '^(\\w|\\d)+$',
+            '(?:a|b){2,5}',
+            '\\d*\\d*\\d*\\d*x',
+            '\\d+\\.?\\d*',
+            '.*(a)*',
+            '(a*)a*',
+            '\\d*a*\\d+',
+            '(a|b*)b+',
+            'a+?A*'
+        ].forEach(pattern => assert.isTrue(isUnsafeRegex(pattern), pattern));
+        [
+            '^node:(16|18)-(arm64|amd64)$',
+            '^(a*)b*',
+            '^[a-z]+[0-9]+',
+            '(?:a|b)?c*',
+            '^\\d+\\.\\d+',
+            '^.*-arm64$',
+            'a{2}b*',
+            '^(?=a+)b+'
+        ].forEach(pattern => assert.isFalse(isUnsafeRegex(pattern), pattern));
+    });
+
+    it('refuses more unbounded quantifiers than the anchoring of a regular expression allows', () => {
+        ['.*a.*a.*b', '.*a.*a.*a.*b', '^.*a.*a.*b', 'a.*b|^c.*d', '[a-z]+[0-9]{1,100}'].forEach(pattern =>
+            assert.isTrue(isUnsafeRegex(pattern), pattern)
+        );
+        ['.*a', '^.*a.*b$', '^[a-z]+[0-9]+$', '^(?:node|python)-.*:\\d+$', '[a-z]+[0-9]{1,16}'].forEach(pattern =>
+            assert.isFalse(isUnsafeRegex(pattern), pattern)
+        );
+    });
+
+    it('matches the regular expressions allowed in bounded time', () => {
+        const value = 'a'.repeat(MAX_VALUE_LENGTH);
+        const startTime = Date.now();
+
+        ['^.*a.*a.*b', '.*a.*a.*b', '.*a.*a.*a.*b', '^.*a.*b', '.*a.*b', '^a*.*b'].forEach(pattern => {
+            if (!isUnsafeRegex(pattern)) {
+                assert.isFalse(compilePattern(pattern)(value), pattern);
+            }
+        });
+        assert.isBelow(Date.now() - startTime, 1000);
+    });
+
+    it('matches globs', () => {
+        assert.isTrue(matchesGlob('node:*', 'node:18'));
+        assert.isTrue(matchesGlob('*/library/*:1?', 'docker.io/library/node:18'));
+        assert.isTrue(matchesGlob('*-arm64', 'node:18-arm64'));
+        assert.isTrue(matchesGlob('**', ''));
+        assert.isFalse(matchesGlob('node:*', 'sd/node:18'));
+        assert.isFalse(matchesGlob('node:1?', 'node:180'));
+    });
+
+    it('matches a glob in bounded time', () => {
+        const value = 'a'.repeat(MAX_VALUE_LENGTH);
+        const startTime = Date.now();
+
+        assert.isFalse(matchesGlob(`${'*a'.repeat(50)}b`, value));
+        assert.isBelow(Date.now() - startTime, 1000);
+    });
+
+    it('compiles regular expression, glob and exact patterns', () => {
+        assert.isTrue(compilePattern('^NODE')('node:18'));
+        assert.isTrue(compilePattern('glob:Node:*')('node:18'));
+        assert.isFalse(compilePattern('glob:node:*')('node'));
+        assert.isTrue(compilePattern('exact:node:18')('node:18'));
+        assert.isFalse(compilePattern('exact:node:18')('node:18-alpine'));
+        assert.throws(
+            () => compilePattern('(a+)+'),
+            'Regular expression (a+)+ has nested quantifiers, quantified alternations, adjacent quantifiers, backreferences or too many unbounded quantifiers'
+        );
+        assert.throws(() => compilePattern('^(\\w|\\d)+$'), 'has nested quantifiers, quantified alternations');
+        assert.throws(() => compilePattern('('), SyntaxError);
+    });
+
+    it('compiles each pattern once', () => {
+        assert.strictEqual(getMatcher('^node'), getMatcher('^node'));
+    });
+
+    it('matches no pattern for values that are not strings or too long', () => {
+        assert.isTrue(matchesAnyPattern(['rhel', 'node'], 'node:18'));
+        assert.isFalse(matchesAnyPattern(['.*'], undefined));
+        assert.isFalse(matchesAnyPattern(['.*'], 'a'.repeat(MAX_VALUE_LENGTH + 1)));
+    });
+});
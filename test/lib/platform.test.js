@@ -0,0 +1,38 @@
+'use strict';
+
+const { assert } = require('chai');
+const { getBuildPlatform, getExecutorPlatforms, normalizePlatform } = require('../../lib/platform');
+
+describe('platform', () => {
+    it('normalizes platforms', () => {
+        assert.strictEqual(normalizePlatform('arm64'), 'linux/arm64');
+        assert.strictEqual(normalizePlatform('linux/aarch64'), 'linux/arm64');
+        assert.strictEqual(normalizePlatform('Linux/X86_64'), 'linux/amd64');
+        assert.strictEqual(normalizePlatform('linux/arm/v7'), 'linux/arm/v7');
+        assert.strictEqual(normalizePlatform('windows/amd64'), 'windows/amd64');
+    });
+
+    it('takes the platform of a build from its annotation', () => {
+        assert.strictEqual(
+            getBuildPlatform({ annotations: { 'screwdriver.cd/platform': 'arm64' } }, { tag: '18-amd64' }),
+            'linux/arm64'
+        );
+        assert.strictEqual(
+            getBuildPlatform({ annotations: { 'beta.screwdriver.cd/platform': 'linux/s390x' } }),
+            'linux/s390x'
+        );
+    });
+
+    it('takes the platform of a build from the container tag', () => {
+        assert.strictEqual(getBuildPlatform({}, { tag: '18-arm64' }), 'linux/arm64');
+        assert.strictEqual(getBuildPlatform({}, { tag: 'aarch64' }), 'linux/arm64');
+        assert.strictEqual(getBuildPlatform({}, { tag: '18' }), 'linux/amd64');
+        assert.strictEqual(getBuildPlatform({}, { tag: 'farm64' }), 'linux/amd64');
+        assert.strictEqual(getBuildPlatform({}), 'linux/amd64');
+    });
+
+    it('returns the platforms of an executor', () => {
+        assert.deepEqual(getExecutorPlatforms({ platforms: ['arm64', 'linux/amd64'] }), ['linux/arm64', 'linux/amd64']);
+        assert.deepEqual(getExecutorPlatforms({}), ['linux/amd64']);
+    });
+});
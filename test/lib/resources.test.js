@@ -0,0 +1,37 @@
+'use strict';
+
+const { assert } = require('chai');
+const { DEFAULT_TIERS, getResourceRequest, satisfiesRequest } = require('../../lib/resources');
+
+describe('resources', () => {
+    it('returns the resources requested by the annotations', () => {
+        assert.deepEqual(getResourceRequest({ cpu: 'HIGH', ram: 'turbo', disk: 'HIGH', diskSpeed: 'low' }), {
+            cpu: 6,
+            ram: 16,
+            disk: 1,
+            diskSpeed: 0
+        });
+        assert.deepEqual(getResourceRequest({ cpu: 3, ram: '4' }), { cpu: 3, ram: 4 });
+        assert.deepEqual(getResourceRequest({}), {});
+    });
+
+    it('ignores unknown resource values', () => {
+        assert.deepEqual(getResourceRequest({ cpu: 'HUGE', ram: -1, disk: 'MEDIUM', executor: 'k8s' }), {});
+    });
+
+    it('uses custom tiers', () => {
+        const tiers = { cpu: { ...DEFAULT_TIERS.cpu, HIGH: 8 }, ram: DEFAULT_TIERS.ram };
+
+        assert.deepEqual(getResourceRequest({ cpu: 'HIGH' }, tiers), { cpu: 8 });
+        assert.isFalse(satisfiesRequest({ cpu: 6 }, { cpu: 8 }, tiers));
+        assert.isTrue(satisfiesRequest({ cpu: 'HIGH' }, { cpu: 8 }, tiers));
+    });
+
+    it('checks requests against the maximum resources', () => {
+        assert.isTrue(satisfiesRequest({ cpu: 'HIGH', ram: 12 }, { cpu: 6, ram: 12 }));
+        assert.isFalse(satisfiesRequest({ cpu: 'HIGH', ram: 12 }, { ram: 16 }));
+        assert.isFalse(satisfiesRequest({ disk: 'LOW' }, { disk: 1 }));
+        assert.isTrue(satisfiesRequest({ disk: 'high' }, { disk: 1, diskSpeed: 1 }));
+        assert.isTrue(satisfiesRequest({}, { cpu: 12 }));
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const { assert } = require('chai');
+const { getScheduledWeightage, isInMaintenance, isInWindow } = require('../../lib/schedule');
+
+describe('schedule', () => {
+    const nightly = { cron: '0 22 * * *', durationMinutes: 480 };
+    const at = time => Date.parse(`2026-01-01T${time}Z`);
+
+    it('checks if a time is within a window', () => {
+        assert.isTrue(isInWindow(nightly, at('22:00:00')));
+        assert.isTrue(isInWindow(nightly, at('05:59:59')));
+        assert.isFalse(isInWindow(nightly, at('06:00:00')));
+        assert.isFalse(isInWindow(nightly, at('21:59:59')));
+    });
+
+    it('uses the timezone of a window', () => {
+        const window = { ...nightly, timezone: 'America/Los_Angeles' };
+
+        assert.isFalse(isInWindow(window, at('22:00:00')));
+        assert.isTrue(isInWindow(window, at('06:00:00')));
+    });
+
+    it('returns the weightage of the open window', () => {
+        const executor = { weightage: 10, schedule: [{ ...nightly, weightage: 80 }] };
+
+        assert.strictEqual(getScheduledWeightage(executor, at('23:00:00')), 80);
+        assert.strictEqual(getScheduledWeightage(executor, at('12:00:00')), 10);
+        assert.strictEqual(getScheduledWeightage({ weightage: 10 }, at('23:00:00')), 10);
+    });
+
+    it('checks if an executor is in maintenance', () => {
+        const executor = { maintenance: [{ cron: '0 2 * * 0', durationMinutes: 120 }] };
+
+        // 2026-01-04 is a Sunday
+        assert.isTrue(isInMaintenance(executor, Date.parse('2026-01-04T03:00:00Z')));
+        assert.isFalse(isInMaintenance(executor, Date.parse('2026-01-05T03:00:00Z')));
+        assert.isFalse(isInMaintenance({}, Date.parse('2026-01-04T03:00:00Z')));
+    });
+});
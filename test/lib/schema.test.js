@@ -0,0 +1,143 @@
+'use strict';
+
+const { assert } = require('chai');
+const { validateConfig, validateExecutor } = require('../../lib/schema');
+
+describe('schema', () => {
+    const validConfig = {
+        defaultPlugin: 'k8s',
+        ecosystem: { api: 'http://api.com' },
+        executor: [
+            {
+                name: 'k8s',
+                enabled: true,
+                weightage: '10',
+                exclusions: ['rhel6', 'glob:docker.io/*', 'exact:node:18-alpine', { registry: 'exact:quay.io' }],
+                inclusions: ['^node', { repository: 'glob:library/*', tag: '-arm64$' }],
+                match: {
+                    pipelineIds: [1, '100-200'],
+                    repositories: ['^screwdriver-cd/'],
+                    jobNames: ['^main$'],
+                    annotations: { 'screwdriver.cd/cpu': ['HIGH', 'TURBO'] }
+                },
+                maxConcurrent: 10,
+                schedule: [{ cron: '0 22 * * *', durationMinutes: 480, weightage: 80, timezone: 'Asia/Tokyo' }],
+                maintenance: [{ cron: '0 2 * * 0', durationMinutes: 120 }],
+                draining: false,
+                platforms: ['linux/amd64', 'arm64', 'linux/arm/v7'],
+                maxResources: { cpu: 'HIGH', ram: 24, disk: 'high', diskSpeed: 'LOW' },
+                fallbacks: ['test-sandbox'],
+                allow: { pipelineIds: ['100-200'], repositories: ['^screwdriver-cd/'], scopes: ['gpu'] },
+                circuitBreaker: { failureThreshold: 3, windowMs: 1000, coolDownMs: 0 },
+                options: { kubernetes: { host: 'K8S_HOST' } }
+            },
+            {
+                name: 'test-sandbox',
+                pluginName: 'test',
+                canary: { baseline: 'k8s', percentage: 5, pipelineIds: [1], maxFailureRate: 0.1, minBuilds: 20 }
+            }
+        ],
+        failover: true,
+        resourceTiers: { cpu: { HIGH: 8 }, ram: { TURBO: 32 } },
+        rules: [{ name: 'cluster', check: () => 'k8s', before: 'weighted' }],
+        strict: true,
+        weighting: { strategy: 'hash', hashKey: 'pipelineId' }
+    };
+
+    it('accepts a valid config', () => {
+        assert.doesNotThrow(() => validateConfig(validConfig));
+    });
+
+    it('reports all errors together', () => {
+        const config = {
+            ...validConfig,
+            defaultPlugin: 'DNE',
+            executor: [
+                { name: 'k8s', weightage: -1, exclusions: ['('] },
+                { name: 'k8s', weightage: 'abc', typo: true },
+                { options: {} }
+            ],
+            weighting: { strategy: 'roundRobin' }
+        };
+
+        try {
+            validateConfig(config);
+            assert.fail('should have thrown');
+        } catch (err) {
+            assert.match(err.message, /^Invalid executor router config: /);
+            [
+                '"executor[0].weightage" must be greater than or equal to 0',
+                '"executor[0].exclusions[0]" is not a valid regular expression',
+                '"executor[1].weightage" must be a number',
+                '"executor[1].typo" is not allowed',
+                '"executor[2].name" is required',
+                '"executor[1]" contains a duplicate value',
+                '"weighting.strategy" must be one of [random, hash, least-loaded]',
+                '"defaultPlugin" DNE is not a configured executor'
+            ].forEach(message => assert.include(err.message, message));
+        }
+    });
+
+    it('rejects unknown keys and invalid rules', () => {
+        assert.throws(() => validateConfig({ ...validConfig, unknown: true }), '"unknown" is not allowed');
+        assert.throws(
+            () => validateConfig({ ...validConfig, rules: [{ name: 'cluster' }] }),
+            '"rules[0]" must contain at least one of [check, module]'
+        );
+        assert.throws(
+            () => validateConfig({ ...validConfig, annotationPolicy: { unauthorized: 'ignore' } }),
+            '"annotationPolicy.unauthorized" must be one of [fallback, reject]'
+        );
+        assert.throws(
+            () =>
+                validateConfig({
+                    ...validConfig,
+                    executor: [{ name: 'k8s', canary: { baseline: 'k8s', percentage: 101 } }]
+                }),
+            '"executor[0].canary.percentage" must be less than or equal to 100'
+        );
+        assert.throws(
+            () =>
+                validateConfig({
+                    ...validConfig,
+                    executor: [
+                        { name: 'k8s', maintenance: [{ cron: 'every day', durationMinutes: 60, timezone: 'Mars' }] }
+                    ]
+                }),
+            /"executor\[0\]\.maintenance\[0\]\.cron" is not a valid cron expression.*"executor\[0\]\.maintenance\[0\]\.timezone" is not a valid timezone/
+        );
+        assert.throws(
+            () => validateConfig({ ...validConfig, executor: [{ name: 'k8s', exclusions: ['(a+)+$'] }] }),
+            '"executor[0].exclusions[0]" is not a valid regular expression: Regular expression (a+)+$ has nested quantifiers'
+        );
+        assert.throws(
+            () => validateConfig({ ...validConfig, executor: [{ name: 'k8s', inclusions: [{}, { image: 'node' }] }] }),
+            '"executor[0].inclusions[0]" must have at least 1 key; "executor[0].inclusions[1].image" is not allowed'
+        );
+        assert.throws(
+            () => validateConfig({ ...validConfig, executor: [{ name: 'k8s', platforms: ['linux arm'] }] }),
+            '"executor[0].platforms[0]" with value "linux arm" fails to match the platform pattern'
+        );
+        assert.throws(
+            () =>
+                validateConfig({
+                    ...validConfig,
+                    executor: [{ name: 'k8s', maxResources: { cpu: 0, disk: 'TURBO' } }]
+                }),
+            '"executor[0].maxResources.cpu" does not match any of the allowed types; ' +
+                '"executor[0].maxResources.disk" must be one of [LOW, HIGH]'
+        );
+        assert.throws(
+            () => validateConfig({ ...validConfig, buildStore: { get: () => {} } }),
+            '"buildStore.set" is required'
+        );
+    });
+
+    it('validates a single executor', () => {
+        assert.doesNotThrow(() => validateExecutor(validConfig.executor[0]));
+        assert.throws(
+            () => validateExecutor({ name: 'k8s', match: { pipelineIds: ['abc'] } }),
+            /^Invalid executor config: "match.pipelineIds\[0\]"/
+        );
+    });
+});